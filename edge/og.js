@@ -0,0 +1,267 @@
+// Open Graph tags for share links. Platform-neutral: the Vercel
+// (middleware.js) and Cloudflare Pages (functions/_middleware.js) adapters
+// pass in the request, a JSON loader for the music files and the SPA's
+// index.html, and serve what comes back.
+import siteConfig from '../site.config.js'
+import { readClipParams } from '../src/utils/shareLinks.js'
+import { formatSeconds } from '../src/utils/tracks.js'
+
+const SITE_NAME = '8-bitbox'
+// music:song entries listed on a game page
+const MAX_ALBUM_SONGS = 50
+
+// The iframe player (src/Embed.jsx; same path as EMBED_PATH in src/utils/routes.js)
+// and the oEmbed endpoint describing it
+export const EMBED_PATH = '/embed'
+export const OEMBED_PATH = '/oembed'
+const EMBED_WIDTH = 480
+const EMBED_HEIGHT = 580
+// Share link parameters the embed understands
+const EMBED_PARAMS = ['game', 'track', 't', 'end']
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// t= / end= as "from 1:23" or "1:23–2:10" for the description
+function describeClip(searchParams) {
+  const { start, end } = readClipParams(searchParams)
+  if (end !== null) return `${formatSeconds(start)}–${formatSeconds(end)}`
+  return start > 0 ? `from ${formatSeconds(start)}` : null
+}
+
+// A loader for files on the site serving `baseUrl`: resolves to the parsed
+// JSON, or null when the file doesn't exist. Without a 404.html, Cloudflare
+// Pages answers a missing file with index.html and status 200, so a body that
+// isn't JSON counts as missing too.
+export const fetchJsonLoader = (baseUrl) => async (path) => {
+  const res = await fetch(new URL(path, baseUrl))
+  if (!res.ok) return null
+  try {
+    return await res.json()
+  } catch {
+    return null
+  }
+}
+
+// Game details live in <musicPath>games/<id>.json; deployments built before the
+// manifest split only have manifest.json with every game inline. A retired id
+// listed in the manifest aliases resolves to { canonicalId }.
+export async function lookupGame(gameId, loadJson) {
+  if (!/^[\w-]+$/.test(gameId)) return {}
+  const detail = await loadJson(`${siteConfig.musicPath}games/${gameId}.json`)
+  if (detail) return { game: detail }
+
+  const manifest = await loadJson(`${siteConfig.musicPath}manifest.json`)
+  if (!manifest) return {}
+  const canonicalId = manifest.aliases?.[gameId]
+  if (canonicalId && canonicalId !== gameId) return { canonicalId }
+  const game = manifest.games.find(g => g.id === gameId)
+  return game && game.tracks ? { game } : {}
+}
+
+// What a request shares: null for anything but a game link, { redirectUrl }
+// for a retired game id, else { url, game, track, trackNumber }. `game` is
+// null when the lookup fails, and the page is then served unchanged.
+export async function resolveShare(request, loadJson) {
+  const url = new URL(request.url)
+  const gameId = url.searchParams.get('game')
+  if (!gameId) return null
+
+  let found = {}
+  try {
+    found = await lookupGame(gameId, loadJson)
+  } catch (e) {
+    console.error('OG lookup error:', e)
+  }
+  if (found.canonicalId) {
+    url.searchParams.set('game', found.canonicalId)
+    return { redirectUrl: url.toString() }
+  }
+
+  const game = found.game || null
+  const trackKey = url.searchParams.get('track') // track id, or a name in older links
+  const tracks = game?.tracks || []
+  let index = trackKey ? tracks.findIndex(t => t.id === trackKey) : -1
+  if (index === -1 && trackKey) index = tracks.findIndex(t => t.name === trackKey)
+  return {
+    url,
+    game,
+    track: index === -1 ? null : tracks[index],
+    trackNumber: index + 1
+  }
+}
+
+const shareUrl = (baseUrl, game, track) => {
+  const params = new URLSearchParams({ game: game.id })
+  if (track) params.set('track', track.id || track.name)
+  return `${baseUrl}/?${params}`
+}
+
+// The embed for a share link, keeping its track and t= / end=; the game id
+// is the resolved one
+const embedUrl = (baseUrl, url, game) => {
+  const params = new URLSearchParams()
+  for (const name of EMBED_PARAMS) {
+    const value = name === 'game' ? game.id : url.searchParams.get(name)
+    if (value) params.set(name, value)
+  }
+  return `${baseUrl}${EMBED_PATH}?${params}`
+}
+
+const oembedUrl = (baseUrl, url) => `${baseUrl}${OEMBED_PATH}?${new URLSearchParams({ url: url.href })}`
+
+// The share's title, description and preview image
+function describeShare({ url, game, track }) {
+  const baseUrl = siteConfig.origin || url.origin
+  const musicBase = `${baseUrl}${siteConfig.musicPath}`
+
+  let title = `${game.title} - ${SITE_NAME}`
+  let description = `${game.system} | ${game.trackCount} tracks`
+  if (track) {
+    title = `${track.name} - ${game.title} | ${SITE_NAME}`
+    description = `${game.author || game.system} | ${game.title}`
+  }
+  const clip = describeClip(url.searchParams)
+  if (clip) description += ` | ▶ ${clip}`
+
+  // The track's card (generate-manifest --track-cards), else the game's OG card
+  // (both 1200x630), else the square cover, else the default
+  const cardImage = track?.ogImage || game.ogImage
+  const imageUrl = cardImage
+    ? `${musicBase}${encodeURI(cardImage)}`
+    : game.coverImage
+      ? `${musicBase}${encodeURI(game.coverImage)}`
+      : `${baseUrl}/icons/og-image.png`
+
+  return { baseUrl, title, description, imageUrl, cardImage }
+}
+
+// Tags for a resolved share: [[attribute, name, content]]. Single-valued tags
+// replace the page's defaults; music:song entries repeat.
+function buildTags(share) {
+  const { url, game, track, trackNumber } = share
+  const { baseUrl, title, description, imageUrl } = describeShare(share)
+
+  // Twitter shows a player card: the embed, with the image as its poster
+  const tags = [
+    ['property', 'og:type', track ? 'music.song' : 'music.album'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url.href],
+    ['property', 'og:image', imageUrl],
+    ['name', 'twitter:card', 'player'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl],
+    ['name', 'twitter:player', embedUrl(baseUrl, url, game)],
+    ['name', 'twitter:player:width', String(EMBED_WIDTH)],
+    ['name', 'twitter:player:height', String(EMBED_HEIGHT)]
+  ]
+
+  if (track) {
+    if (track.duration) tags.push(['property', 'music:duration', String(Math.round(track.duration))])
+    tags.push(
+      ['property', 'music:album', shareUrl(baseUrl, game)],
+      ['property', 'music:album:track', String(trackNumber)]
+    )
+  } else {
+    for (const [index, song] of (game.tracks || []).slice(0, MAX_ALBUM_SONGS).entries()) {
+      tags.push(
+        ['property', 'music:song', shareUrl(baseUrl, game, song)],
+        ['property', 'music:song:track', String(index + 1)]
+      )
+    }
+  }
+  return { title, tags, oembed: oembedUrl(baseUrl, url) }
+}
+
+const REPEATED_TAGS = new Set(['music:song', 'music:song:track'])
+
+// Replace the page's <meta> with this name, or add it at the end of <head>.
+// Replacements use functions so `$` in titles isn't read as a pattern.
+function setMeta(html, attribute, name, content) {
+  const tag = `<meta ${attribute}="${name}" content="${escapeHtml(content)}" />`
+  const existing = new RegExp(`<meta ${attribute}="${name}" content="[^"]*"\\s*/?>`)
+  if (!REPEATED_TAGS.has(name) && existing.test(html)) return html.replace(existing, () => tag)
+  return html.replace('</head>', () => `  ${tag}\n</head>`)
+}
+
+// index.html with the share's tags; unchanged when the game wasn't found
+export function renderOgHtml(html, share) {
+  if (!share?.game) return html
+  try {
+    const { title, tags, oembed } = buildTags(share)
+    let result = html.replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+    for (const [attribute, name, content] of tags) {
+      result = setMeta(result, attribute, name, content)
+    }
+    // oEmbed discovery
+    const link = `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembed)}" title="${escapeHtml(title)}" />`
+    return result.replace('</head>', () => `  ${link}\n</head>`)
+  } catch (e) {
+    // A malformed game entry serves the original HTML
+    console.error('OG render error:', e)
+    return html
+  }
+}
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: {
+    'content-type': 'application/json; charset=utf-8',
+    'access-control-allow-origin': '*'
+  }
+})
+
+// GET /oembed?url=<share link>[&maxwidth=&maxheight=]: a `rich` iframe of the
+// embed for any game or track link on this site (JSON only, per oEmbed 1.0)
+export async function handleOembed(request, loadJson) {
+  const requestUrl = new URL(request.url)
+  const format = requestUrl.searchParams.get('format') || 'json'
+  if (format !== 'json') return jsonResponse(501, { error: 'Only format=json is supported' })
+
+  let target
+  try {
+    target = new URL(requestUrl.searchParams.get('url'))
+  } catch {
+    return jsonResponse(404, { error: 'Not a share link' })
+  }
+  const origins = [requestUrl.origin, siteConfig.origin].filter(Boolean)
+  if (!origins.includes(target.origin) || !['/', EMBED_PATH].includes(target.pathname)) {
+    return jsonResponse(404, { error: 'Not a share link' })
+  }
+
+  // Retired ids resolve like the page does; a redirect is followed once
+  let share = await resolveShare(new Request(target), loadJson)
+  if (share?.redirectUrl) share = await resolveShare(new Request(share.redirectUrl), loadJson)
+  if (!share?.game) return jsonResponse(404, { error: 'Game not found' })
+
+  const { baseUrl, title, imageUrl, cardImage } = describeShare(share)
+  const limit = (name, size) => {
+    const max = parseInt(requestUrl.searchParams.get(name), 10)
+    return max > 0 ? Math.min(size, max) : size
+  }
+  const width = limit('maxwidth', EMBED_WIDTH)
+  const height = limit('maxheight', EMBED_HEIGHT)
+  const src = embedUrl(baseUrl, share.url, share.game)
+
+  return jsonResponse(200, {
+    version: '1.0',
+    type: 'rich',
+    provider_name: SITE_NAME,
+    provider_url: `${baseUrl}/`,
+    title,
+    ...(share.game.author ? { author_name: share.game.author } : {}),
+    html: `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" frameborder="0" ` +
+      `allow="autoplay; clipboard-write" loading="lazy" title="${escapeHtml(title)}"></iframe>`,
+    width,
+    height,
+    // Card images are 1200x630; a bare cover's size isn't known here
+    ...(cardImage ? { thumbnail_url: imageUrl, thumbnail_width: 1200, thumbnail_height: 630 } : {})
+  })
+}
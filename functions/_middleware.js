@@ -1,21 +1,23 @@
-// Cloudflare Pages Middleware for dynamic OG tags
-function escapeHtml(str) {
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-}
+// Cloudflare Pages Middleware for dynamic OG tags (edge/og.js does the work)
+import { OEMBED_PATH, fetchJsonLoader, handleOembed, resolveShare, renderOgHtml } from '../edge/og.js'
 
 export async function onRequest(context) {
     const { request, next } = context
-    const url = new URL(request.url)
-    const gameId = url.searchParams.get('game')
+    if (new URL(request.url).pathname === OEMBED_PATH) {
+        return handleOembed(request, fetchJsonLoader(request.url))
+    }
+
+    // /embed falls through to the SPA's index.html like any other path
+    const share = await resolveShare(request, fetchJsonLoader(request.url))
 
-    // If no game query param, serve normally
-    if (!gameId) {
+    // Not a game link: serve normally
+    if (!share) {
         return next()
     }
+    // An old share link redirects to the current game id
+    if (share.redirectUrl) {
+        return Response.redirect(share.redirectUrl, 301)
+    }
 
     // Get the original response (the SPA index.html)
     const response = await next()
@@ -26,80 +28,9 @@ export async function onRequest(context) {
         return response
     }
 
-    let html = await response.text()
-    const trackName = url.searchParams.get('track')
-
-    try {
-        // Fetch manifest to get game/track info
-        const manifestUrl = new URL('/music/manifest.json', request.url)
-        const manifestRes = await fetch(manifestUrl)
-        const manifest = await manifestRes.json()
-
-        const game = manifest.games.find(g => g.id === gameId)
-        if (game) {
-            const baseUrl = url.origin
-            let title = `${game.title} - 8-bitbox`
-            let description = `${game.system} | ${game.trackCount} tracks`
-
-            // Use OG image if available, fallback to cover, then default
-            let imageUrl = game.ogImage
-                ? `${baseUrl}/music/${game.ogImage}`
-                : game.coverImage
-                    ? `${baseUrl}/music/${game.coverImage}`
-                    : `${baseUrl}/icons/og-image.png`
-
-            if (trackName) {
-                const track = game.tracks?.find(t => t.name === trackName)
-                if (track) {
-                    title = `${track.name} - ${game.title} | 8-bitbox`
-                    description = `${game.author || game.system} | ${game.title}`
-                }
-            }
-
-            // Replace OG tags
-            html = html.replace(
-                /<meta property="og:title" content="[^"]*"/,
-                `<meta property="og:title" content="${escapeHtml(title)}"`
-            )
-            html = html.replace(
-                /<meta property="og:description" content="[^"]*"/,
-                `<meta property="og:description" content="${escapeHtml(description)}"`
-            )
-            html = html.replace(
-                /<meta property="og:url" content="[^"]*"/,
-                `<meta property="og:url" content="${escapeHtml(url.href)}"`
-            )
-            html = html.replace(
-                /<meta property="og:image" content="[^"]*"/,
-                `<meta property="og:image" content="${escapeHtml(imageUrl)}"`
-            )
-
-            // Replace Twitter tags
-            html = html.replace(
-                /<meta name="twitter:title" content="[^"]*"/,
-                `<meta name="twitter:title" content="${escapeHtml(title)}"`
-            )
-            html = html.replace(
-                /<meta name="twitter:description" content="[^"]*"/,
-                `<meta name="twitter:description" content="${escapeHtml(description)}"`
-            )
-            html = html.replace(
-                /<meta name="twitter:image" content="[^"]*"/,
-                `<meta name="twitter:image" content="${escapeHtml(imageUrl)}"`
-            )
-
-            // Replace title tag
-            html = html.replace(
-                /<title>[^<]*<\/title>/,
-                `<title>${escapeHtml(title)}</title>`
-            )
-        }
-    } catch (e) {
-        // If manifest fetch fails, serve original HTML
-        console.error('Middleware error:', e)
-    }
+    const html = await response.text()
 
-    return new Response(html, {
+    return new Response(renderOgHtml(html, share), {
         headers: {
             ...Object.fromEntries(response.headers),
             'content-type': 'text/html; charset=utf-8',
@@ -0,0 +1,82 @@
+// Loaded into the generated Workbox service worker (importScripts in
+// vite.config.js, after site-config.js). Serves files saved with DOWNLOAD FOR
+// OFFLINE (src/utils/offline.js) from their cache; anything else under the
+// music path is left to Workbox's runtime caching. Keep OFFLINE_CACHE in sync
+// with offline.js.
+const OFFLINE_CACHE = '8bitbox-offline'
+
+// site.config.js, as emitted at build time
+const { musicPath = '/music/', audioOrigin = '' } = self.__SITE_CONFIG__ || {}
+const MUSIC_PREFIXES = [
+  `${self.location.origin}${musicPath}`,
+  ...(audioOrigin ? [`${audioOrigin}${musicPath}`] : [])
+]
+
+// URLs in the offline cache (without query), so fetch events can decide synchronously
+let offlineUrls = null
+const loadOfflineUrls = async () => {
+  const cache = await caches.open(OFFLINE_CACHE)
+  offlineUrls = new Set((await cache.keys()).map(request => request.url))
+}
+let offlineUrlsReady = loadOfflineUrls()
+
+// The page posts this after downloading or removing files
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'offline-updated') {
+    offlineUrlsReady = loadOfflineUrls()
+    event.waitUntil(offlineUrlsReady)
+  }
+})
+
+// Audio elements ask for byte ranges; answer them from the whole cached file
+async function rangeResponse(response, rangeHeader) {
+  const blob = await response.blob()
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim())
+  if (!match || (!match[1] && !match[2])) return new Response(blob, { headers: response.headers })
+
+  const start = match[1] ? Number(match[1]) : Math.max(0, blob.size - Number(match[2]))
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1
+  if (start >= blob.size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } })
+  }
+  const part = blob.slice(start, end + 1)
+  return new Response(part, {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+      'Content-Length': String(part.size),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`
+    }
+  })
+}
+
+async function respondFromOffline(request, fileUrl) {
+  await offlineUrlsReady
+  const cache = await caches.open(OFFLINE_CACHE)
+  const cached = await cache.match(fileUrl)
+  if (!cached) return fetch(request)
+
+  // The library index and detail files change with each build: network first
+  if (fileUrl.endsWith('.json')) {
+    try {
+      const response = await fetch(request)
+      if (response.ok) return response
+    } catch {
+      // offline
+    }
+    return cached
+  }
+  const range = request.headers.get('range')
+  return range ? rangeResponse(cached, range) : cached
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  const fileUrl = `${url.origin}${url.pathname}`
+  if (!MUSIC_PREFIXES.some(prefix => fileUrl.startsWith(prefix))) return
+  // Until the URL list has loaded, check the cache for every request
+  if (offlineUrls && !offlineUrls.has(fileUrl)) return
+  event.respondWith(respondFromOffline(request, fileUrl))
+})
@@ -1,26 +1,46 @@
 import fs from 'fs'
 import os from 'os'
+import crypto from 'crypto'
 import path from 'path'
+import process from 'process'
 import JSZip from 'jszip'
+import zlib from 'zlib'
 import sharp from 'sharp'
 import { fileURLToPath } from 'url'
 import { spawn } from 'child_process'
+import { createReport, toGameId, validateManifest, writeReport } from './manifest-validation.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-const DIST_DIR = path.join(__dirname, '../music-source/vgz')
-const SPC_DIR = path.join(__dirname, '../music-source/spc')
+const SOURCE_DIR = path.join(__dirname, '../music-source')
+const DIST_DIR = path.join(SOURCE_DIR, 'vgz')
+const SPC_DIR = path.join(SOURCE_DIR, 'spc')
 const OUTPUT_DIR = path.join(__dirname, '../public/music')
 const COVERS_DIR = path.join(OUTPUT_DIR, 'covers')
 const OG_COVERS_DIR = path.join(OUTPUT_DIR, 'og-covers')
 const MANIFEST_PATH = path.join(OUTPUT_DIR, 'manifest.json')
+const GAMES_DIR = path.join(OUTPUT_DIR, 'games')
+const CACHE_PATH = path.join(__dirname, '../.cache/manifest-cache.json')
+const CACHE_FORMAT = 2
+const BUILD_REPORT_PATH = path.join(__dirname, '../.cache/build-report.json')
+const GAME_IDS_PATH = path.join(SOURCE_DIR, 'game-ids.json')
+const GAME_IDS_FORMAT = 1
 
 // OG image dimensions (Facebook/Twitter recommended)
 const OG_WIDTH = 1200
 const OG_HEIGHT = 630
 const OG_BG_COLOR = '#0f0f23'
 
+// VGM timing: sample counts in the header are at 44.1kHz. vgm2wav2 renders
+// looped tracks with two loops and a 5s fade by default (VGMPlay's); the real
+// loop count is read back from the rendered file (fitRenderedLength), and the
+// player uses these numbers to loop more often or to fade out earlier.
+const VGM_SAMPLE_RATE = 44100
+const VGM_RENDER_LOOPS = 2
+const VGM_RENDER_FADE = 5
+const SPC_DEFAULT_FADE = 10
+
 // Load Press Start 2P font for SVG text rendering
 const FONT_PATH = path.join(__dirname, 'fonts/PressStart2P-Regular.ttf')
 const fontBase64 = fs.readFileSync(FONT_PATH).toString('base64')
@@ -55,6 +75,17 @@ function sanitizeForPath(input) {
     .replace(/^_+|_+$/g, '')
 }
 
+// Track id for share links: the source file name (plus subsong number), so it
+// survives tag fixes and reordering. Unicode letters are kept as they are.
+function toTrackId(sourceBase, subsongNumber) {
+  const slug = sourceBase
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'track'
+  return subsongNumber ? `${slug}-${subsongNumber}` : slug
+}
+
 function runCommand(cmd, args) {
   return new Promise((resolve, reject) => {
     const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'] })
@@ -74,18 +105,57 @@ function runCommand(cmd, args) {
   })
 }
 
-async function convertToM4A(buffer, extension, outputFilePath, force = false) {
+// render(inputPath) -> [command, args] from the format handler
+async function convertToM4A(buffer, extension, render) {
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'))
   const inputPath = path.join(tempDir, `track.${extension}`)
   try {
     fs.writeFileSync(inputPath, buffer)
-    const args = ['--format', 'aac', ...(force ? [] : ['--skip']), inputPath, outputFilePath]
-    await runCommand('vgm2wav2', args)
+    await runCommand(...render(inputPath))
   } finally {
     fs.rmSync(tempDir, { recursive: true, force: true })
   }
 }
 
+// Bounded concurrency: returns run(task), which starts task() once fewer than
+// `limit` tasks are in flight
+function createPool(limit) {
+  let active = 0
+  const waiting = []
+  const next = () => {
+    if (active >= limit || waiting.length === 0) return
+    active += 1
+    const { task, resolve, reject } = waiting.shift()
+    task().then(resolve, reject).finally(() => {
+      active -= 1
+      next()
+    })
+  }
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject })
+    next()
+  })
+}
+
+// context: { force, pool, report, stats } for the game being built. Resolves false
+// when the conversion failed, so the track can be left out of the manifest.
+async function convertTrack(context, buffer, extension, outputFilePath, label, render) {
+  if (!context.force && fs.existsSync(outputFilePath)) {
+    context.stats.skipped += 1
+    return true
+  }
+  try {
+    await context.pool(() => convertToM4A(buffer, extension, render))
+    context.stats.converted += 1
+    return true
+  } catch (e) {
+    context.stats.failed += 1
+    console.error(`  [FAILED] ${label}: ${e.message.trim()}`)
+    context.report.error('render-failed', `${label}: ${e.message.trim()}`)
+    return false
+  }
+}
+
 function createTextOverlaySvg(gameInfo) {
   const title = escapeXml(gameInfo?.title || 'Unknown Game')
   const titleJp = gameInfo?.titleJp && gameInfo.titleJp !== gameInfo.title ? escapeXml(gameInfo.titleJp) : ''
@@ -149,6 +219,64 @@ function createTextOverlaySvg(gameInfo) {
     <rect x="534" y="${metaY - 30}" width="${format.length * 24 + 34}" height="44" rx="3" fill="rgba(255,0,255,0.08)" stroke="#ff00ff" stroke-width="2"/>
     <text x="551" y="${metaY}" font-family="'Press Start 2P', monospace" font-size="25" fill="#ff00ff">${format}</text>`
 
+  return ogOverlaySvg(`
+  ${titleEls}
+  ${metaEls.join('\n  ')}
+  ${badgeEl}
+  ${formatBadge}`)
+}
+
+// Track card text: track number and length, title, Japanese title, then the
+// game and its system
+function createTrackOverlaySvg(gameInfo, track, trackNumber, trackCount) {
+  const rawName = track.name || 'Unknown Track'
+  let fontSize = 32
+  if (rawName.length > 16) fontSize = 26
+  if (rawName.length > 26) fontSize = 20
+  if (rawName.length > 36) fontSize = 16
+
+  const number = `TRACK ${String(trackNumber).padStart(2, '0')}/${String(trackCount).padStart(2, '0')}`
+  const duration = track.duration ? `  ${formatClock(track.duration)}` : ''
+  let y = 120
+  const els = [
+    `<text x="540" y="${y}" font-family="'Press Start 2P', monospace" font-size="24" fill="#ff00ff">${escapeXml(number + duration)}</text>`
+  ]
+  y += 40 + fontSize
+
+  const nameLines = wrapText(rawName, Math.floor(600 / fontSize)).slice(0, 3)
+  nameLines.forEach((line, i) => {
+    els.push(`<text x="540" y="${y + i * (fontSize + 16)}" font-family="'Press Start 2P', monospace" font-size="${fontSize}" fill="#00fff7" filter="url(#glow)">${escapeXml(line)}</text>`)
+  })
+  y += nameLines.length * (fontSize + 16) + 20
+
+  if (track.nameJp && track.nameJp !== track.name) {
+    els.push(`<text x="540" y="${y}" font-family="'Meiryo', 'Yu Gothic', sans-serif" font-size="35" fill="#ffff00" opacity="0.85">${escapeXml(track.nameJp)}</text>`)
+    y += 60
+  }
+
+  const gameLines = wrapText(gameInfo?.title || 'Unknown Game', 30).slice(0, 2)
+  gameLines.forEach((line, i) => {
+    els.push(`<text x="540" y="${y + i * 36}" font-family="'Press Start 2P', monospace" font-size="20" fill="#aaaacc">${escapeXml(line)}</text>`)
+  })
+  y += gameLines.length * 36 + 30
+
+  const system = escapeXml(gameInfo?.system || 'Unknown')
+  els.push(`
+    <rect x="534" y="${y - 34}" width="${system.length * 28 + 44}" height="52" rx="4" fill="rgba(0,255,0,0.08)" stroke="#00ff00" stroke-width="2"/>
+    <text x="556" y="${y}" font-family="'Press Start 2P', monospace" font-size="30" fill="#00ff00">${system}</text>`)
+
+  return ogOverlaySvg(els.join('\n  '))
+}
+
+// m:ss for card text
+function formatClock(seconds) {
+  const total = Math.round(seconds)
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`
+}
+
+// 1200x630 overlay with the font, glow filter, accent lines and branding
+// shared by game and track cards
+function ogOverlaySvg(content) {
   // Branding
   const brandEl = `<text x="1150" y="590" text-anchor="end" font-family="'Press Start 2P', monospace" font-size="14" fill="#8888aa">&#9834; 8-bitbox</text>`
 
@@ -174,15 +302,13 @@ function createTextOverlaySvg(gameInfo) {
     </filter>
   </defs>
   ${lines}
-  ${titleEls}
-  ${metaEls.join('\n  ')}
-  ${badgeEl}
-  ${formatBadge}
+  ${content}
   ${brandEl}
 </svg>`
 }
 
-async function createOGImage(coverImageData, gameInfo, ogFullPath) {
+// Cover on the left, `overlaySvg` (createTextOverlaySvg / createTrackOverlaySvg) on top
+async function createOGImage(coverImageData, overlaySvg, ogFullPath) {
   const metadata = await sharp(coverImageData).metadata()
   const origW = metadata.width || 256
   const origH = metadata.height || 240
@@ -206,7 +332,7 @@ async function createOGImage(coverImageData, gameInfo, ogFullPath) {
   </svg>`)
 
   // Text overlay SVG
-  const textSvg = Buffer.from(createTextOverlaySvg(gameInfo))
+  const textSvg = Buffer.from(overlaySvg)
 
   // Composite all layers
   await sharp({
@@ -230,6 +356,154 @@ async function createOGImage(coverImageData, gameInfo, ogFullPath) {
   return { resW, resH }
 }
 
+// Save the cover and render its OG image (1200x630, retro neon template).
+// Returns manifest paths; either is null when missing or failed.
+async function writeCoverImages(context, gameId, coverImageData, coverImageExt, gameInfoWithMeta) {
+  if (!coverImageData || !coverImageExt) return { coverImage: null, ogImage: null }
+
+  const coverFileName = `${gameId}${coverImageExt}`
+  fs.writeFileSync(path.join(COVERS_DIR, coverFileName), coverImageData)
+
+  const ogFileName = `${gameId}.png`
+  try {
+    await context.pool(() => createOGImage(coverImageData, createTextOverlaySvg(gameInfoWithMeta), path.join(OG_COVERS_DIR, ogFileName)))
+    return { coverImage: `covers/${coverFileName}`, ogImage: `og-covers/${ogFileName}` }
+  } catch (e) {
+    context.stats.failed += 1
+    console.error(`  [FAILED] OG image for ${gameId}: ${e.message}`)
+    context.report.error('og-failed', `OG image for ${gameId}: ${e.message}`, { gameId })
+    return { coverImage: `covers/${coverFileName}`, ogImage: null }
+  }
+}
+
+// With --track-cards: one share card per track in og-covers/<gameId>/<trackId>.png.
+// Returns the tracks with ogImage set on those that rendered.
+async function writeTrackCards(context, gameId, coverImageData, gameInfo, tracks) {
+  if (!context.trackCards || !coverImageData) return tracks
+  const cardDir = path.join(OG_COVERS_DIR, gameId)
+  fs.mkdirSync(cardDir, { recursive: true })
+  return Promise.all(tracks.map(async (track, index) => {
+    const cardFile = `${track.id}.png`
+    try {
+      const overlaySvg = createTrackOverlaySvg(gameInfo, track, index + 1, tracks.length)
+      await context.pool(() => createOGImage(coverImageData, overlaySvg, path.join(cardDir, cardFile)))
+      return { ...track, ogImage: `og-covers/${gameId}/${cardFile}` }
+    } catch (e) {
+      context.stats.failed += 1
+      console.error(`  [FAILED] OG image for ${gameId}/${track.id}: ${e.message}`)
+      context.report.error('og-failed', `OG image for ${gameId}/${track.id}: ${e.message}`, { gameId })
+      return track
+    }
+  }))
+}
+
+// Header clock fields (VGM 1.10+) and the chip each one enables. The in-browser
+// engine can only synthesize tracks that use nothing but supported chips.
+const VGM_CHIP_CLOCKS = [
+  [0x0C, 'sn76489'], [0x10, 'ym2413'], [0x2C, 'ym2612'], [0x30, 'ym2151'],
+  [0x38, 'segapcm'], [0x40, 'rf5c68'], [0x44, 'ym2203'], [0x48, 'ym2608'],
+  [0x4C, 'ym2610'], [0x50, 'ym3812'], [0x54, 'ym3526'], [0x58, 'y8950'],
+  [0x5C, 'ymf262'], [0x60, 'ymf278b'], [0x64, 'ymf271'], [0x68, 'ymz280b'],
+  [0x6C, 'rf5c164'], [0x70, 'pwm'], [0x74, 'ay8910'], [0x80, 'gb_dmg'],
+  [0x84, 'nes_apu'], [0x88, 'multipcm'], [0x8C, 'upd7759'], [0x90, 'okim6258'],
+  [0x98, 'okim6295'], [0x9C, 'k051649'], [0xA0, 'k054539'], [0xA4, 'huc6280'],
+  [0xA8, 'c140'], [0xAC, 'k053260'], [0xB0, 'pokey'], [0xB4, 'qsound']
+]
+
+function parseVGMChips(buffer) {
+  try {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    const version = view.getUint32(0x08, true)
+    const dataStart = version >= 0x150 && view.getUint32(0x34, true) ? 0x34 + view.getUint32(0x34, true) : 0x40
+    return VGM_CHIP_CLOCKS
+      // Pre-1.10 headers end at 0x20 (the YM2413 field also drove the YM2612 then)
+      .filter(([offset]) => offset + 4 <= dataStart && (version >= 0x110 || offset <= 0x10))
+      .filter(([offset]) => (view.getUint32(offset, true) & 0x3FFFFFFF) !== 0)
+      .map(([, chip]) => chip)
+  } catch {
+    return []
+  }
+}
+
+// Round to milliseconds to keep the manifest readable
+const toSeconds = (value) => Math.round(value * 1000) / 1000
+
+function parseVGMTiming(buffer) {
+  // Header: total samples at 0x18, loop offset at 0x1C (relative, 0 = no loop),
+  // loop samples at 0x20
+  try {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    const totalSamples = view.getUint32(0x18, true)
+    const loopOffset = view.getUint32(0x1C, true)
+    const loopSamples = view.getUint32(0x20, true)
+    if (!totalSamples) return null
+
+    if (loopOffset === 0 || loopSamples === 0 || loopSamples > totalSamples) {
+      return { duration: toSeconds(totalSamples / VGM_SAMPLE_RATE) }
+    }
+
+    const introLength = toSeconds((totalSamples - loopSamples) / VGM_SAMPLE_RATE)
+    const loopLength = toSeconds(loopSamples / VGM_SAMPLE_RATE)
+    return {
+      duration: toSeconds(introLength + loopLength * VGM_RENDER_LOOPS + VGM_RENDER_FADE),
+      introLength,
+      loopLength,
+      fadeLength: VGM_RENDER_FADE,
+      renderedLoops: VGM_RENDER_LOOPS
+    }
+  } catch {
+    return null
+  }
+}
+
+// Length in seconds of an M4A from its movie header (moov/mvhd); null when
+// the file can't be read
+function readM4ALength(filePath) {
+  try {
+    const buffer = fs.readFileSync(filePath)
+    const findBox = (type, start, end) => {
+      for (let pos = start; pos + 8 <= end;) {
+        let size = buffer.readUInt32BE(pos)
+        let header = 8
+        if (size === 1) {
+          size = Number(buffer.readBigUInt64BE(pos + 8))
+          header = 16
+        } else if (size === 0) {
+          size = end - pos
+        }
+        if (size < header) return null
+        if (buffer.toString('latin1', pos + 4, pos + 8) === type) return { start: pos + header, end: pos + size }
+        pos += size
+      }
+      return null
+    }
+    const moov = findBox('moov', 0, buffer.length)
+    const mvhd = moov && findBox('mvhd', moov.start, moov.end)
+    if (!mvhd) return null
+    const version = buffer[mvhd.start]
+    const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12))
+    const duration = version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16)
+    return timescale ? toSeconds(duration / timescale) : null
+  } catch {
+    return null
+  }
+}
+
+// Fit a track's timing to the file that was actually rendered: the duration
+// becomes the real length, and a looped VGM's renderedLoops is recounted from
+// it (the renderer's defaults decide how many loops it wrote). A file too
+// short to hold a whole loop plays to its end without loop handling.
+function fitRenderedLength(track, length) {
+  if (!length) return track
+  if (!track.renderedLoops) return { ...track, duration: length }
+  const loops = Math.round((length - track.introLength - track.fadeLength) / track.loopLength)
+  const fitted = { ...track, duration: length, renderedLoops: loops }
+  if (loops < 1) delete fitted.renderedLoops
+  return fitted
+}
+
 async function parseVGMTitle(buffer) {
   // VGM file header parsing for GD3 tag
   // Reference: https://vgmrips.net/wiki/VGM_Specification
@@ -289,10 +563,122 @@ async function parseVGMTitle(buffer) {
   }
 }
 
-async function processZipFile(zipPath, gameId, force = false) {
+const naturalCompare = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+
+// Resolve M3U lines against the archive's track files: relative to the M3U's
+// folder first, then by bare filename when that is unambiguous
+function resolvePlaylistEntries(lines, playlistName, trackNames) {
+  const byPath = new Map(trackNames.map(name => [name.toLowerCase(), name]))
+  const byBase = new Map()
+  trackNames.forEach(name => {
+    const base = path.posix.basename(name).toLowerCase()
+    byBase.set(base, byBase.has(base) ? null : name)
+  })
+  const folder = path.posix.dirname(playlistName)
+
+  const listed = []
+  const missing = []
+  for (const line of lines) {
+    const entry = line.replace(/\\/g, '/')
+    const relative = path.posix.normalize(path.posix.join(folder, entry)).toLowerCase()
+    const name = byPath.get(relative) || byPath.get(entry.toLowerCase()) || byBase.get(path.posix.basename(entry).toLowerCase())
+    if (!name) missing.push(line)
+    else if (!listed.includes(name)) listed.push(name)
+  }
+  return { listed, missing }
+}
+
+// Zip entries in processing order: non-track files in archive order, then the
+// tracks. vgmrips packs ship an .m3u with the intended sequence; when there is
+// one it decides order and inclusion, otherwise tracks are sorted by filename
+// (natural order, so "10" follows "9"). Mismatches are reported, not guessed.
+async function orderZipEntries(zip, trackExtensions, archiveName, report) {
+  const files = Object.entries(zip.files).filter(([, file]) => !file.dir)
+  const isTrack = (name) => trackExtensions.some(ext => name.toLowerCase().endsWith(ext))
+  const others = files.filter(([name]) => !isTrack(name))
+  const tracks = files.filter(([name]) => isTrack(name)).sort(([a], [b]) => naturalCompare(a, b))
+
+  const playlists = others.filter(([name]) => name.toLowerCase().endsWith('.m3u')).sort(([a], [b]) => naturalCompare(a, b))
+  if (playlists.length === 0) return [...others, ...tracks]
+
+  const [playlistName, playlistFile] = playlists[0]
+  const lines = (await playlistFile.async('string'))
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    // Extended lines name a subsong after "::"; the file is what gets ordered
+    .map(line => line.split('::')[0])
+  const { listed, missing } = resolvePlaylistEntries(lines, playlistName, tracks.map(([name]) => name))
+
+  if (listed.length === 0) {
+    console.warn(`  [M3U] ${archiveName}: ${playlistName} matches no tracks, using filename order`)
+    report.warning('m3u-no-match', `${playlistName} matches no tracks, using filename order`, { archive: archiveName })
+    return [...others, ...tracks]
+  }
+  const unlisted = tracks.map(([name]) => name).filter(name => !listed.includes(name))
+  if (unlisted.length > 0) {
+    console.warn(`  [M3U] ${archiveName}: not in ${playlistName}, left out: ${unlisted.join(', ')}`)
+    report.warning('m3u-unlisted', `not in ${playlistName}, left out: ${unlisted.join(', ')}`, { archive: archiveName })
+  }
+  if (missing.length > 0) {
+    console.warn(`  [M3U] ${archiveName}: listed in ${playlistName} but missing: ${missing.join(', ')}`)
+    report.warning('m3u-missing', `listed in ${playlistName} but missing: ${missing.join(', ')}`, { archive: archiveName })
+  }
+  return [...others, ...listed.map(name => [name, zip.files[name]])]
+}
+
+// Extended M3U lines (NEZplug / Game_Music_Emu style) pick subsongs out of
+// multi-track containers: "file.nsf::NSF,track,title,time,loop,fade".
+// Decimal track numbers count from 1, $hex ones from 0.
+function parseSubsongLine(line) {
+  const separator = line.indexOf('::')
+  if (separator < 0) return null
+  const file = line.slice(0, separator).replace(/\\/g, '/')
+  const [, track = '', title = '', time = '', , fade = ''] = line.slice(separator + 2).split(',')
+  const index = track.trim().startsWith('$')
+    ? parseInt(track.trim().slice(1), 16)
+    : parseInt(track, 10) - 1
+  if (!Number.isInteger(index) || index < 0) return null
+  return {
+    file: path.posix.basename(file).toLowerCase(),
+    index,
+    name: title.trim(),
+    length: parseM3UTime(time),
+    fade: parseM3UTime(fade)
+  }
+}
+
+// "h:mm:ss", "m:ss" or seconds, with optional fractions; null when blank
+function parseM3UTime(value) {
+  if (!value || !value.trim()) return null
+  const seconds = value.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0)
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null
+}
+
+// Subsong entries from every extended M3U in the archive, keyed by container
+// file name (lowercase, without folders)
+async function readSubsongPlaylists(entries) {
+  const playlists = new Map()
+  for (const [name, file] of entries) {
+    if (!name.toLowerCase().endsWith('.m3u')) continue
+    const lines = (await file.async('string')).replace(/^\uFEFF/, '').split(/\r?\n/)
+    for (const line of lines) {
+      const entry = !line.trim().startsWith('#') && parseSubsongLine(line.trim())
+      if (!entry) continue
+      if (!playlists.has(entry.file)) playlists.set(entry.file, [])
+      playlists.get(entry.file).push(entry)
+    }
+  }
+  return playlists
+}
+
+// Build one game from a ZIP with the given format handler (see FORMAT_HANDLERS)
+async function processArchive(handler, zipPath, gameId, context) {
   const data = fs.readFileSync(zipPath)
   const zip = await JSZip.loadAsync(data)
-  const audioDirName = path.basename(zipPath, '.zip')
+  const archiveName = path.basename(zipPath)
+  const audioDirName = audioDirFor(handler, archiveName)
   const gameAudioDir = path.join(OUTPUT_DIR, audioDirName)
   fs.mkdirSync(gameAudioDir, { recursive: true })
 
@@ -300,12 +686,21 @@ async function processZipFile(zipPath, gameId, force = false) {
   let gameInfo = null
   let coverImageData = null
   let coverImageExt = null
-  const usedAudioNames = new Set()
-  let trackIndex = 0
-
-  for (const [filename, file] of Object.entries(zip.files)) {
-    if (file.dir) continue
-
+  // A track keeps the file name it had in the previous build (matched by track
+  // id), so reordering the archive never moves a file playlists point at. New
+  // tracks are named after their source file and can't take one of those names.
+  const previousNames = new Map(context.previousTracks
+    .filter(t => t.id && t.filename)
+    .map(t => [t.id, path.basename(t.filename, '.m4a')]))
+  const usedAudioNames = new Set([...previousNames.values()].map(name => name.toLowerCase()))
+  const usedTrackIds = new Set()
+  const conversions = []
+  const failedTracks = new Set()
+
+  const entries = await orderZipEntries(zip, handler.extensions, archiveName, context.report)
+  const subsongPlaylists = await readSubsongPlaylists(entries)
+
+  for (const [filename, file] of entries) {
     const lowerName = filename.toLowerCase()
 
     // Get cover image (extract the actual image data)
@@ -314,106 +709,182 @@ async function processZipFile(zipPath, gameId, force = false) {
       coverImageExt = path.extname(filename).toLowerCase()
     }
 
-    // Process VGM/VGZ files
-    if (lowerName.endsWith('.vgm') || lowerName.endsWith('.vgz')) {
-      trackIndex += 1
-      let buffer = await file.async('uint8array')
-      const sourceBuffer = Buffer.from(buffer)
-      const isVgz = lowerName.endsWith('.vgz') || (buffer[0] === 0x1f && buffer[1] === 0x8b)
-
-      // If VGZ (gzip compressed), decompress
-      if (isVgz) {
-        const pako = await import('pako')
-        try {
-          buffer = pako.default.inflate(sourceBuffer)
-        } catch (e) {
-          console.log(`  Skipping ${filename}: decompression failed`)
-          continue
-        }
-      }
+    if (!handler.extensions.some(ext => lowerName.endsWith(ext))) continue
 
-      const vgmInfo = await parseVGMTitle(buffer)
+    const buffer = await file.async('uint8array')
+    const sourceBuffer = Buffer.from(buffer)
+    const sourceExt = path.extname(lowerName).slice(1)
+    const label = `${archiveName}/${filename}`
+    let tags
+    try {
+      tags = await handler.parseTags(buffer, filename)
+    } catch (e) {
+      context.stats.failed += 1
+      console.error(`  [FAILED] ${label}: ${e.message}`)
+      context.report.error('parse-failed', `${label}: ${e.message}`, { archive: archiveName })
+      continue
+    }
 
-      const sourceBase = path.basename(filename, path.extname(filename))
-      const prefix = String(trackIndex).padStart(3, '0')
-      let audioBase = `${prefix}_${sanitizeForPath(sourceBase) || 'track'}`
-      let dedupe = 2
-      while (usedAudioNames.has(audioBase.toLowerCase())) {
-        audioBase = `${prefix}_${sanitizeForPath(sourceBase) || 'track'}_${dedupe}`
-        dedupe += 1
+    const playlist = subsongPlaylists.get(path.posix.basename(lowerName)) || []
+    const subsongs = handler.splitSubsongs(buffer, tags, playlist, (message) => {
+      console.warn(`  [SUBSONGS] ${label}: ${message}`)
+      context.report.warning('subsongs', `${label}: ${message}`, { archive: archiveName })
+    })
+    const sourceBase = path.basename(filename, path.extname(filename))
+
+    for (const subsong of subsongs) {
+      const { index, name, ...fields } = subsong
+      const baseTrackId = toTrackId(sourceBase, subsongs.length > 1 ? index + 1 : null)
+      let trackId = baseTrackId
+      for (let n = 2; usedTrackIds.has(trackId); n++) trackId = `${baseTrackId}~${n}`
+      usedTrackIds.add(trackId)
+
+      let audioBase = previousNames.get(trackId)
+      if (!audioBase) {
+        const baseName = sanitizeForPath(sourceBase) || 'track'
+        const subsongName = subsongs.length > 1 ? `${baseName}_${String(index + 1).padStart(2, '0')}` : baseName
+        audioBase = subsongName
+        for (let n = 2; usedAudioNames.has(audioBase.toLowerCase()); n++) audioBase = `${subsongName}_${n}`
+        usedAudioNames.add(audioBase.toLowerCase())
       }
-      usedAudioNames.add(audioBase.toLowerCase())
       const audioFileName = `${audioBase}.m4a`
       const audioRelativePath = `${audioDirName}/${audioFileName}`
       const audioOutputPath = path.join(OUTPUT_DIR, audioRelativePath)
-      const sourceExt = lowerName.endsWith('.vgm') ? 'vgm' : 'vgz'
 
-      const alreadyExists = fs.existsSync(audioOutputPath)
-      if (!force && alreadyExists) {
-        console.log(`  [SKIP] ${audioRelativePath}`)
-      } else {
-        console.log(`  [CONVERT] ${filename} -> ${audioRelativePath}`)
+      // Keep the (gzipped) source next to the M4A for the in-browser engine
+      let sourceFile = null
+      if (handler.keepSource) {
+        const sourceFileName = `${audioBase}.vgz`
+        const sourceOutputPath = path.join(gameAudioDir, sourceFileName)
+        if (context.force || !fs.existsSync(sourceOutputPath)) {
+          fs.writeFileSync(sourceOutputPath, isGzipped(sourceBuffer) ? sourceBuffer : zlib.gzipSync(sourceBuffer))
+        }
+        sourceFile = `${audioDirName}/${sourceFileName}`
       }
-      await convertToM4A(sourceBuffer, sourceExt, audioOutputPath, force)
 
-      tracks.push({
+      const track = {
+        id: trackId,
         filename: audioFileName,
         audioFile: audioRelativePath,
         originalFilename: filename,
-        name: vgmInfo?.trackNameEn || vgmInfo?.trackNameJp || path.basename(filename, path.extname(filename)),
-        nameJp: vgmInfo?.trackNameJp || ''
-      })
-
-      // Get game info from first track
-      if (!gameInfo && vgmInfo) {
-        gameInfo = {
-          title: vgmInfo.gameNameEn || vgmInfo.gameNameJp || '',
-          titleJp: vgmInfo.gameNameJp || '',
-          system: vgmInfo.systemNameEn || vgmInfo.systemNameJp || '',
-          author: vgmInfo.authorNameEn || vgmInfo.authorNameJp || ''
-        }
+        name: name || (subsongs.length > 1 ? `${sourceBase} #${index + 1}` : sourceBase),
+        ...(subsongs.length > 1 ? { subsong: index + 1 } : {}),
+        ...(sourceFile ? { sourceFile } : {}),
+        ...fields
       }
+      tracks.push(track)
+      const render = (inputPath) => handler.render({ inputPath, outputPath: audioOutputPath, index, track, force: context.force })
+      conversions.push(
+        convertTrack(context, sourceBuffer, sourceExt, audioOutputPath, subsongs.length > 1 ? `${label} #${index + 1}` : label, render)
+          .then(ok => ok || failedTracks.add(track))
+      )
     }
-  }
 
-  // Save cover image if found
-  let coverImagePath = null
-  let ogImagePath = null
+    // Get game info from the first file whose tags name the game
+    if (!gameInfo && tags?.game) gameInfo = tags.game
+  }
 
-  if (coverImageData && coverImageExt) {
-    const coverFileName = `${gameId}${coverImageExt}`
-    const coverFullPath = path.join(COVERS_DIR, coverFileName)
-    fs.writeFileSync(coverFullPath, coverImageData)
-    coverImagePath = `covers/${coverFileName}`
-    console.log(`  -> Extracted cover image: ${coverFileName}`)
+  // Conversions run in the shared pool; tracks that failed are left out
+  await Promise.all(conversions)
+  const converted = tracks
+    .filter(t => !failedTracks.has(t))
+    .map(t => fitRenderedLength(t, readM4ALength(path.join(OUTPUT_DIR, t.audioFile))))
 
-    // Generate OG image (1200x630) with retro neon template
-    try {
-      const ogFileName = `${gameId}.png`
-      const ogFullPath = path.join(OG_COVERS_DIR, ogFileName)
-
-      // Add trackCount and format to gameInfo for OG image
-      const gameInfoWithMeta = {
-        ...gameInfo,
-        trackCount: tracks.length,
-        format: 'vgm'
-      }
+  const { coverImage, ogImage } = await writeCoverImages(context, gameId, coverImageData, coverImageExt, {
+    ...gameInfo,
+    trackCount: converted.length,
+    format: handler.format
+  })
 
-      const { resW, resH } = await createOGImage(coverImageData, gameInfoWithMeta, ogFullPath)
+  return {
+    gameInfo,
+    tracks: await writeTrackCards(context, gameId, coverImageData, {
+      title: gameInfo?.title || path.basename(zipPath, '.zip'),
+      system: gameInfo?.system || handler.defaultSystem
+    }, converted),
+    coverImage,
+    ogImage
+  }
+}
 
-      ogImagePath = `og-covers/${ogFileName}`
-      console.log(`  -> Generated OG image: ${ogFileName} (cover ${resW}x${resH})`)
-    } catch (e) {
-      console.log(`  -> Failed to generate OG image: ${e.message}`)
-    }
+// xid6 extended tag sub-chunk ids (SPC File Format v0.31)
+const XID6_FIELDS = {
+  0x01: 'title',
+  0x02: 'game',
+  0x03: 'artist',
+  0x04: 'dumper',
+  0x05: 'dumpDate',
+  0x07: 'comments',
+  0x10: 'ostTitle',
+  0x11: 'ostDisc',
+  0x12: 'ostTrack',
+  0x13: 'publisher',
+  0x14: 'copyrightYear',
+  0x30: 'introTicks',
+  0x31: 'loopTicks',
+  0x32: 'endTicks',
+  0x33: 'fadeTicks',
+  0x35: 'loopCount'
+}
+const XID6_TICKS_PER_SECOND = 64000
+
+// ID666 dates are MM/DD/YYYY (text tags) or day/month/year bytes (binary
+// tags); both become YYYY-MM-DD
+const formatSPCDate = (year, month, day) => (
+  year && month >= 1 && month <= 12 && day >= 1 && day <= 31
+    ? `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    : ''
+)
+
+// Binary ID666 tags store numbers where text tags have digits; text tags are
+// told apart by their length/fade fields holding only digits or NULs and the
+// artist starting one byte later (0xB1 instead of 0xB0)
+function isTextID666(buffer) {
+  const isDigitOrNul = (b) => b === 0 || (b >= 0x30 && b <= 0x39)
+  for (let i = 0xA9; i < 0xB1; i++) {
+    if (!isDigitOrNul(buffer[i])) return false
+  }
+  for (let i = 0x9E; i < 0xA9; i++) {
+    const b = buffer[i]
+    if (!isDigitOrNul(b) && b !== 0x2F && b !== 0x2D) return false
   }
+  // All-NUL numbers fit both layouts; a binary artist name starts at 0xB0
+  return buffer[0xB0] === 0 || isDigitOrNul(buffer[0xB0])
+}
 
-  return {
-    gameInfo,
-    tracks,
-    coverImage: coverImagePath,
-    ogImage: ogImagePath
+// Sub-chunks after the 64KB RAM dump + DSP registers: "xid6", size, then
+// (id, type, data) headers. Type 0 keeps its value in the header; strings
+// (1) and integers (4) follow it, padded to 4 bytes.
+function parseXID6(buffer, readString) {
+  const base = 0x10200
+  if (buffer.length < base + 8) return {}
+  if (String.fromCharCode(...buffer.slice(base, base + 4)) !== 'xid6') return {}
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  const end = Math.min(buffer.length, base + 8 + view.getUint32(base + 4, true))
+  const fields = {}
+  let pos = base + 8
+  while (pos + 4 <= end) {
+    const id = buffer[pos]
+    const type = buffer[pos + 1]
+    const size = view.getUint16(pos + 2, true)
+    pos += 4
+    let value
+    if (type === 0) {
+      value = size
+    } else if (type === 1) {
+      value = readString(pos, size)
+      pos += (size + 3) & ~3
+    } else if (type === 4) {
+      if (pos + 4 > end) break
+      value = view.getUint32(pos, true)
+      pos += 4
+    } else {
+      pos += (size + 3) & ~3
+      continue
+    }
+    if (XID6_FIELDS[id]) fields[XID6_FIELDS[id]] = value
   }
+  return fields
 }
 
 function parseSPCID666(buffer) {
@@ -429,143 +900,694 @@ function parseSPCID666(buffer) {
       return str.trim()
     }
 
-    // ID666 tag offsets (text format)
-    const title = readString(0x2E, 32)
-    const game = readString(0x4E, 32)
-    const artist = readString(0xB1, 32)
-
-    // Duration in seconds (3 bytes ASCII at 0xA9)
-    const durationStr = readString(0xA9, 3)
-    const duration = parseInt(durationStr, 10) || 0
+    // 0x23 is 26 when the header carries an ID666 tag
+    const info = { title: '', game: '', artist: '', dumper: '', comments: '', dumpDate: '', duration: 0, fade: 0 }
+    if (buffer[0x23] === 26) {
+      info.title = readString(0x2E, 32)
+      info.game = readString(0x4E, 32)
+      info.dumper = readString(0x6E, 16)
+      info.comments = readString(0x7E, 32)
+
+      if (isTextID666(buffer)) {
+        const date = readString(0x9E, 11)
+        const [month, day, year] = date.split('/').map(n => parseInt(n, 10))
+        info.dumpDate = formatSPCDate(year, month, day) || date
+        // Duration in seconds (3 ASCII digits), fade in ms (5 ASCII digits)
+        info.duration = parseInt(readString(0xA9, 3), 10) || 0
+        info.fade = parseInt(readString(0xAC, 5), 10) || 0
+        info.artist = readString(0xB1, 32)
+      } else {
+        info.dumpDate = formatSPCDate(buffer[0xA0] | (buffer[0xA1] << 8), buffer[0x9F], buffer[0x9E])
+        info.duration = buffer[0xA9] | (buffer[0xAA] << 8) | (buffer[0xAB] << 16)
+        info.fade = (buffer[0xAC] | (buffer[0xAD] << 8) | (buffer[0xAE] << 16) | (buffer[0xAF] << 24)) >>> 0
+        info.artist = readString(0xB0, 32)
+      }
+    }
 
-    // Fade length in ms (5 bytes ASCII at 0xAC)
-    // Note: fade field starts right after duration at 0xAC (0xA9 + 3)
-    const fadeStr = readString(0xAC, 5)
-    const fade = parseInt(fadeStr, 10) || 0
+    // xid6 strings have no 32-byte limit, so they win over the ID666 ones
+    const xid6 = parseXID6(buffer, readString)
+    for (const key of ['title', 'game', 'artist', 'dumper', 'comments']) {
+      if (xid6[key]) info[key] = xid6[key]
+    }
+    if (xid6.dumpDate) {
+      const date = xid6.dumpDate
+      info.dumpDate = formatSPCDate(Math.floor(date / 10000), Math.floor(date / 100) % 100, date % 100)
+    }
+    if (xid6.ostTitle) info.ostTitle = xid6.ostTitle
+    if (xid6.publisher) info.publisher = xid6.publisher
+    if (xid6.copyrightYear) info.copyrightYear = xid6.copyrightYear
+    if (xid6.ostDisc) info.ostDisc = xid6.ostDisc
+    // Track number: number in the high byte, optional letter (e.g. 12a) in the low
+    if (xid6.ostTrack) {
+      const number = xid6.ostTrack >> 8
+      const letter = xid6.ostTrack & 0xFF
+      if (number) info.ostTrack = `${number}${letter >= 0x20 && letter < 0x7F ? String.fromCharCode(letter).trim() : ''}`
+    }
 
-    return { title, game, artist, duration, fade }
+    // Loop layout the ripper marked, in seconds. Informational only: the
+    // render follows the ID666 length and fade.
+    const timing = {}
+    if (xid6.introTicks) timing.introLength = toSeconds(xid6.introTicks / XID6_TICKS_PER_SECOND)
+    if (xid6.loopTicks) timing.loopLength = toSeconds(xid6.loopTicks / XID6_TICKS_PER_SECOND)
+    if (xid6.endTicks) timing.endLength = toSeconds(xid6.endTicks / XID6_TICKS_PER_SECOND)
+    if (xid6.fadeTicks) timing.fadeLength = toSeconds(xid6.fadeTicks / XID6_TICKS_PER_SECOND)
+    if (xid6.loopCount) timing.loopCount = xid6.loopCount
+    if (Object.keys(timing).length > 0) info.loopInfo = timing
+
+    return info
   } catch (e) {
     return null
   }
 }
 
-async function processSPCZipFile(zipPath, gameId, force = false) {
-  const data = fs.readFileSync(zipPath)
-  const zip = await JSZip.loadAsync(data)
-  const audioDirName = path.basename(zipPath, '.zip')
-  const gameAudioDir = path.join(OUTPUT_DIR, audioDirName)
-  fs.mkdirSync(gameAudioDir, { recursive: true })
+// Game_Music_Emu formats carry no lengths (or only some), so untimed
+// subsongs render this long and then fade
+const GME_DEFAULT_LENGTH = 150
+const GME_DEFAULT_FADE = 8
 
-  const tracks = []
-  let gameInfo = null
-  let coverImageData = null
-  let coverImageExt = null
-  const usedAudioNames = new Set()
-  let trackIndex = 0
+const isGzipped = (buffer) => buffer[0] === 0x1f && buffer[1] === 0x8b
 
-  for (const [filename, file] of Object.entries(zip.files)) {
-    if (file.dir) continue
+const readMagic = (buffer, length) => String.fromCharCode(...buffer.slice(0, length))
 
-    const lowerName = filename.toLowerCase()
+// NUL-terminated string in a fixed-size header field
+function readFixedString(buffer, offset, length, encoding = 'latin1') {
+  const bytes = buffer.slice(offset, offset + length)
+  const end = bytes.indexOf(0)
+  return new TextDecoder(encoding).decode(end >= 0 ? bytes.slice(0, end) : bytes).trim()
+}
 
-    // Get cover image
-    if (lowerName.endsWith('.png') || lowerName.endsWith('.jpg') || lowerName.endsWith('.jpeg')) {
-      coverImageData = await file.async('uint8array')
-      coverImageExt = path.extname(filename).toLowerCase()
+// Copyright fields usually read "1987 Konami"
+function splitCopyright(copyright) {
+  const match = /^(?:\(c\)\s*|©\s*)?((?:19|20)\d\d)\b[\s,.-]*(.*)$/i.exec(copyright || '')
+  if (!match) return { publisher: copyright || '' }
+  return { copyrightYear: Number(match[1]), publisher: match[2].trim() }
+}
+
+async function parseVGMTags(buffer) {
+  let data = buffer
+  if (isGzipped(buffer)) {
+    const pako = await import('pako')
+    try {
+      data = pako.default.inflate(buffer)
+    } catch {
+      throw new Error('decompression failed')
     }
+  }
+  const vgmInfo = await parseVGMTitle(data)
+  return {
+    game: vgmInfo && {
+      title: vgmInfo.gameNameEn || vgmInfo.gameNameJp || '',
+      titleJp: vgmInfo.gameNameJp || '',
+      system: vgmInfo.systemNameEn || vgmInfo.systemNameJp || '',
+      systemJp: vgmInfo.systemNameJp || '',
+      author: vgmInfo.authorNameEn || vgmInfo.authorNameJp || '',
+      authorJp: vgmInfo.authorNameJp || '',
+      releaseDate: vgmInfo.releaseDate || '',
+      dumper: vgmInfo.vgmCreator || '',
+      notes: vgmInfo.notes || ''
+    },
+    track: {
+      name: vgmInfo?.trackNameEn || vgmInfo?.trackNameJp || '',
+      nameJp: vgmInfo?.trackNameJp || '',
+      author: vgmInfo?.authorNameEn || vgmInfo?.authorNameJp || '',
+      authorJp: vgmInfo?.authorNameJp || '',
+      notes: vgmInfo?.notes || '',
+      chips: parseVGMChips(data),
+      ...parseVGMTiming(data)
+    }
+  }
+}
 
-    // Process SPC files
-    if (lowerName.endsWith('.spc')) {
-      trackIndex += 1
-      const buffer = await file.async('uint8array')
-      const spcInfo = parseSPCID666(buffer)
-      const sourceBase = path.basename(filename, '.spc')
-      const prefix = String(trackIndex).padStart(3, '0')
-      let audioBase = `${prefix}_${sanitizeForPath(sourceBase) || 'track'}`
-      let dedupe = 2
-      while (usedAudioNames.has(audioBase.toLowerCase())) {
-        audioBase = `${prefix}_${sanitizeForPath(sourceBase) || 'track'}_${dedupe}`
-        dedupe += 1
-      }
-      usedAudioNames.add(audioBase.toLowerCase())
-      const audioFileName = `${audioBase}.m4a`
-      const audioRelativePath = `${audioDirName}/${audioFileName}`
-      const audioOutputPath = path.join(OUTPUT_DIR, audioRelativePath)
+function parseSPCTags(buffer) {
+  const spcInfo = parseSPCID666(buffer)
+  const fadeLength = spcInfo?.fade ? toSeconds(spcInfo.fade / 1000) : SPC_DEFAULT_FADE
+  return {
+    game: spcInfo?.game ? {
+      title: spcInfo.game,
+      titleJp: '',
+      system: 'Super Nintendo',
+      author: spcInfo.artist || '',
+      copyrightYear: spcInfo.copyrightYear || '',
+      publisher: spcInfo.publisher || '',
+      ostTitle: spcInfo.ostTitle || '',
+      dumper: spcInfo.dumper || '',
+      dumpDate: spcInfo.dumpDate || '',
+      notes: spcInfo.comments || ''
+    } : null,
+    track: {
+      name: spcInfo?.title || '',
+      author: spcInfo?.artist || '',
+      notes: spcInfo?.comments || '',
+      ...(spcInfo?.ostDisc ? { ostDisc: spcInfo.ostDisc } : {}),
+      ...(spcInfo?.ostTrack ? { ostTrack: spcInfo.ostTrack } : {}),
+      ...(spcInfo?.loopInfo ? { loopInfo: spcInfo.loopInfo } : {}),
+      // The render plays the tagged length, then fades; duration covers both
+      ...(spcInfo?.duration
+        ? { duration: toSeconds(spcInfo.duration + fadeLength), fadeLength }
+        : {})
+    }
+  }
+}
 
-      const alreadyExists = fs.existsSync(audioOutputPath)
-      if (!force && alreadyExists) {
-        console.log(`  [SKIP] ${audioRelativePath}`)
-      } else {
-        console.log(`  [CONVERT] ${filename} -> ${audioRelativePath}`)
+// Multi-track containers (NSF, GBS, KSS, HES) parse to a common shape:
+// { game, songCount, firstSong, titles, lengths, fades, order }. Indexes are
+// 0-based; lengths/fades are in ms, negative or missing when untimed.
+function containerTags(game, fields) {
+  return { game, songCount: 0, firstSong: 0, titles: [], lengths: [], fades: [], order: null, ...fields }
+}
+
+// NSF: fixed 128-byte header. NSFe: INFO/auth/tlbl/time/fade/plst chunks.
+function parseNSFTags(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  if (readMagic(buffer, 5) === 'NESM\x1a') {
+    const copyright = readFixedString(buffer, 0x4E, 32)
+    return containerTags({
+      title: readFixedString(buffer, 0x0E, 32),
+      titleJp: '',
+      system: 'NES',
+      author: readFixedString(buffer, 0x2E, 32),
+      ...splitCopyright(copyright)
+    }, { songCount: buffer[0x06], firstSong: Math.max(0, buffer[0x07] - 1) })
+  }
+  if (readMagic(buffer, 4) !== 'NSFE') throw new Error('not an NSF/NSFe file')
+
+  const decoder = new TextDecoder('utf-8')
+  const strings = (bytes) => decoder.decode(bytes).split('\0').map(s => s.trim())
+  const int32s = (bytes) => Array.from({ length: Math.floor(bytes.length / 4) }, (_, i) =>
+    new DataView(bytes.buffer, bytes.byteOffset + i * 4, 4).getInt32(0, true))
+  const tags = containerTags({ title: '', titleJp: '', system: 'NES', author: '' })
+  let pos = 4
+  while (pos + 8 <= buffer.length) {
+    const size = view.getUint32(pos, true)
+    const id = String.fromCharCode(...buffer.slice(pos + 4, pos + 8))
+    const chunk = buffer.slice(pos + 8, pos + 8 + size)
+    pos += 8 + size
+    if (id === 'NEND') break
+    if (id === 'INFO') {
+      tags.songCount = chunk[8] || 1
+      tags.firstSong = chunk[9] || 0
+    } else if (id === 'auth') {
+      const [title = '', author = '', copyright = '', dumper = ''] = strings(chunk)
+      Object.assign(tags.game, { title, author, ...splitCopyright(copyright), dumper })
+    } else if (id === 'tlbl') {
+      tags.titles = strings(chunk)
+    } else if (id === 'time') {
+      tags.lengths = int32s(chunk)
+    } else if (id === 'fade') {
+      tags.fades = int32s(chunk)
+    } else if (id === 'plst') {
+      tags.order = Array.from(chunk)
+    }
+  }
+  return tags
+}
+
+function parseGBSTags(buffer) {
+  if (readMagic(buffer, 3) !== 'GBS') throw new Error('not a GBS file')
+  const copyright = readFixedString(buffer, 0x50, 32)
+  return containerTags({
+    title: readFixedString(buffer, 0x10, 32),
+    titleJp: '',
+    system: 'Game Boy',
+    author: readFixedString(buffer, 0x30, 32),
+    ...splitCopyright(copyright)
+  }, { songCount: buffer[0x04], firstSong: Math.max(0, buffer[0x05] - 1) })
+}
+
+// KSS has no text tags. KSSX headers name a track range; plain KSCC files can
+// hold any of 256 songs, so they need an M3U to list the real ones.
+function parseKSSTags(buffer) {
+  const magic = readMagic(buffer, 4)
+  if (magic !== 'KSCC' && magic !== 'KSSX') throw new Error('not a KSS file')
+  // Device flags: bit 1 selects the SN76489 (Sega Master System / Game Gear)
+  const system = buffer[0x0F] & 0x02 ? 'Sega Master System' : 'MSX'
+  const game = { title: '', titleJp: '', system, author: '' }
+  if (magic === 'KSSX' && buffer[0x0E] >= 0x10) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    const first = view.getUint16(0x18, true)
+    const last = view.getUint16(0x1A, true)
+    if (last >= first) return containerTags(game, { songCount: last + 1, firstSong: first, order: Array.from({ length: last - first + 1 }, (_, i) => first + i) })
+  }
+  return containerTags(game)
+}
+
+// HES (PC Engine) has no tags or track count: subsongs come from an M3U
+function parseHESTags(buffer) {
+  if (readMagic(buffer, 4) !== 'HESM') throw new Error('not a HES file')
+  return containerTags({ title: '', titleJp: '', system: 'PC Engine', author: '' }, { firstSong: buffer[0x05] })
+}
+
+// S98 v3 tags are "[S98]" + key=value lines (UTF-8 with a BOM, else
+// Shift_JIS); v1/v2 only point at a title string
+function parseS98Tags(buffer) {
+  if (readMagic(buffer, 3) !== 'S98') throw new Error('not an S98 file')
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  const tagOffset = view.getUint32(0x10, true)
+  const fields = {}
+  if (tagOffset > 0 && tagOffset < buffer.length) {
+    let bytes = buffer.slice(tagOffset)
+    const end = bytes.indexOf(0)
+    if (end >= 0) bytes = bytes.slice(0, end)
+    if (buffer[3] === 0x33 && readMagic(bytes, 5) === '[S98]') {
+      bytes = bytes.slice(5)
+      const utf8 = bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF
+      const text = new TextDecoder(utf8 ? 'utf-8' : 'shift_jis').decode(utf8 ? bytes.slice(3) : bytes)
+      for (const line of text.split(/\r?\n/)) {
+        const separator = line.indexOf('=')
+        if (separator > 0) fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
       }
-      await convertToM4A(Buffer.from(buffer), 'spc', audioOutputPath, force)
+    } else {
+      fields.title = new TextDecoder('shift_jis').decode(bytes).trim()
+    }
+  }
+  const year = parseInt(fields.year, 10)
+  return {
+    game: fields.game ? {
+      title: fields.game,
+      titleJp: '',
+      system: fields.system || 'PC-98',
+      author: fields.artist || '',
+      ...(year ? { copyrightYear: year } : {}),
+      publisher: fields.copyright || '',
+      dumper: fields.s98by || '',
+      notes: fields.comment || ''
+    } : null,
+    track: {
+      name: fields.title || '',
+      author: fields.artist || '',
+      notes: fields.comment || ''
+    }
+  }
+}
 
-      tracks.push({
-        filename: audioFileName,
-        audioFile: audioRelativePath,
-        originalFilename: filename,
-        name: spcInfo?.title || path.basename(filename, '.spc'),
-        duration: spcInfo?.duration || 0,
-        fade: spcInfo?.fade || 10000
+// Single-song files: the file's own tags are the track
+const singleSong = (buffer, tags) => [{ index: 0, ...tags.track }]
+
+// Subsongs of a container: an extended M3U in the archive decides, then the
+// file's own playlist (NSFe plst, KSSX range), then every song in the header.
+// Without any of those only the default song is rendered.
+function splitContainer(buffer, tags, playlist, warn) {
+  let songs = playlist
+  if (songs.length === 0) {
+    const indexes = tags.order || (tags.songCount > 0 ? Array.from({ length: tags.songCount }, (_, i) => i) : null)
+    if (!indexes) warn(`no track list, rendering song ${tags.firstSong + 1} only (add an extended M3U)`)
+    songs = (indexes || [tags.firstSong]).map(index => ({
+      index,
+      name: tags.titles[index] || '',
+      length: tags.lengths[index] >= 0 ? tags.lengths[index] / 1000 : null,
+      fade: tags.fades[index] >= 0 ? tags.fades[index] / 1000 : null
+    }))
+  }
+  return songs.map(({ index, name, length, fade }) => {
+    const fadeLength = fade ?? GME_DEFAULT_FADE
+    return { index, name, duration: toSeconds((length ?? GME_DEFAULT_LENGTH) + fadeLength), fadeLength: toSeconds(fadeLength) }
+  })
+}
+
+// Render commands: vgm2wav2 for VGM/SPC/S98; ffmpeg's libgme demuxer for the
+// Game_Music_Emu containers, cut at the track length with a fade-out
+const renderWithVgm2wav2 = ({ inputPath, outputPath, force }) => (
+  ['vgm2wav2', ['--format', 'aac', ...(force ? [] : ['--skip']), inputPath, outputPath]]
+)
+
+const renderWithGme = ({ inputPath, outputPath, index, track }) => {
+  const fadeStart = toSeconds(track.duration - track.fadeLength)
+  return ['ffmpeg', [
+    '-y', '-loglevel', 'error',
+    '-track_index', String(index), '-i', inputPath,
+    '-t', String(track.duration),
+    ...(track.fadeLength > 0 ? ['-af', `afade=t=out:st=${fadeStart}:d=${track.fadeLength}`] : []),
+    '-vn', '-c:a', 'aac', '-b:a', '192k', outputPath
+  ]]
+}
+
+// Format handlers: one per music-source folder. Each one has
+//   parseTags(buffer, filename)  -> { game, ... } (game: null when untagged)
+//   splitSubsongs(buffer, tags, playlist, warn) -> [{ index, name, ...track fields }]
+//   render({ inputPath, outputPath, index, track, force }) -> [command, args]
+//     with `command` checked on PATH before building
+// `kind` names the cache namespace; `keepSource` ships the gzipped source file
+// for the in-browser engine.
+const FORMAT_HANDLERS = [
+  {
+    kind: 'vgz', dir: DIST_DIR, format: 'vgm', label: '', defaultSystem: 'Unknown', extensions: ['.vgm', '.vgz'],
+    keepSource: true, parseTags: parseVGMTags, splitSubsongs: singleSong, render: renderWithVgm2wav2, command: 'vgm2wav2'
+  },
+  {
+    kind: 'spc', dir: SPC_DIR, format: 'spc', label: 'SPC ', defaultSystem: 'Super Nintendo', extensions: ['.spc'],
+    parseTags: parseSPCTags, splitSubsongs: singleSong, render: renderWithVgm2wav2, command: 'vgm2wav2'
+  },
+  {
+    kind: 'nsf', dir: path.join(SOURCE_DIR, 'nsf'), format: 'nsf', label: 'NSF ', defaultSystem: 'NES', extensions: ['.nsf', '.nsfe'],
+    parseTags: parseNSFTags, splitSubsongs: splitContainer, render: renderWithGme, command: 'ffmpeg'
+  },
+  {
+    kind: 'gbs', dir: path.join(SOURCE_DIR, 'gbs'), format: 'gbs', label: 'GBS ', defaultSystem: 'Game Boy', extensions: ['.gbs'],
+    parseTags: parseGBSTags, splitSubsongs: splitContainer, render: renderWithGme, command: 'ffmpeg'
+  },
+  {
+    kind: 'kss', dir: path.join(SOURCE_DIR, 'kss'), format: 'kss', label: 'KSS ', defaultSystem: 'MSX', extensions: ['.kss'],
+    parseTags: parseKSSTags, splitSubsongs: splitContainer, render: renderWithGme, command: 'ffmpeg'
+  },
+  {
+    kind: 'hes', dir: path.join(SOURCE_DIR, 'hes'), format: 'hes', label: 'HES ', defaultSystem: 'PC Engine', extensions: ['.hes'],
+    parseTags: parseHESTags, splitSubsongs: splitContainer, render: renderWithGme, command: 'ffmpeg'
+  },
+  {
+    kind: 's98', dir: path.join(SOURCE_DIR, 's98'), format: 's98', label: 'S98 ', defaultSystem: 'PC-98', extensions: ['.s98'],
+    parseTags: parseS98Tags, splitSubsongs: singleSong, render: renderWithVgm2wav2, command: 'vgm2wav2'
+  }
+]
+
+// Audio folder of an archive. VGM archives keep the bare archive name (the
+// original layout); other formats, and VGM archives named like another output
+// folder, go under <kind>/ so archives with the same name never share a folder.
+function audioDirFor(handler, file) {
+  const name = path.basename(file, '.zip')
+  const reserved = ['covers', 'og-covers', 'games', ...FORMAT_HANDLERS.map(h => h.kind)]
+  return handler.kind === 'vgz' && !reserved.includes(name.toLowerCase()) ? name : `${handler.kind}/${name}`
+}
+
+// Build cache: one entry per source ZIP, reused while both the ZIP's content
+// hash and this script are unchanged. Any edit to the script invalidates it, so
+// a changed output format is never served from stale entries.
+const SCRIPT_VERSION = crypto.createHash('sha256').update(fs.readFileSync(__filename)).digest('hex').slice(0, 16)
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+}
+
+function loadBuildCache() {
+  if (!fs.existsSync(CACHE_PATH)) return {}
+  try {
+    const cache = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf-8'))
+    return cache.format === CACHE_FORMAT ? cache.entries || {} : {}
+  } catch {
+    console.warn('Could not read build cache, rebuilding everything')
+    return {}
+  }
+}
+
+function saveBuildCache(entries) {
+  fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true })
+  fs.writeFileSync(CACHE_PATH, JSON.stringify({ format: CACHE_FORMAT, entries }, null, 2))
+}
+
+// Game id registry (music-source/game-ids.json, kept with the archives). An
+// archive gets its id once and keeps it across rebuilds and renames (matched by
+// content hash); ids of deleted archives stay reserved, so an old ?game= link
+// never lands on a different game. `aliases` maps retired ids to current ones.
+function loadGameIds() {
+  if (!fs.existsSync(GAME_IDS_PATH)) return { games: {}, aliases: {} }
+  // A broken registry must not silently hand out new ids
+  const data = JSON.parse(fs.readFileSync(GAME_IDS_PATH, 'utf-8'))
+  return { games: data.games || {}, aliases: data.aliases || {} }
+}
+
+function saveGameIds(registry) {
+  fs.writeFileSync(GAME_IDS_PATH, JSON.stringify({ format: GAME_IDS_FORMAT, ...registry }, null, 2))
+}
+
+// items: [{ archive, file, hash }] with archive = "<kind>/<file>". Returns a
+// Map of archive -> id, registering new archives; collisions get _2, _3, ...
+function assignGameIds(registry, items, presentArchiveKeys) {
+  const ids = new Map()
+  const byArchive = new Map(Object.entries(registry.games).map(([id, entry]) => [entry.archive, id]))
+  const taken = new Set()
+  for (const item of items) {
+    let id = byArchive.get(item.archive)
+    if (!id) {
+      // Renamed: same content, and the archive it was registered under is gone
+      id = Object.keys(registry.games).find(candidate => {
+        const entry = registry.games[candidate]
+        return entry.hash === item.hash && !presentArchiveKeys.has(entry.archive) && !taken.has(candidate)
       })
+    }
+    if (!id) {
+      const base = toGameId(item.file)
+      id = base
+      for (let n = 2; registry.games[id] || registry.aliases[id]; n++) id = `${base}_${n}`
+    }
+    registry.games[id] = { archive: item.archive, hash: item.hash }
+    byArchive.set(item.archive, id)
+    taken.add(id)
+    ids.set(item.archive, id)
+  }
+  return ids
+}
 
-      // Get game info from first track with valid metadata
-      if (!gameInfo && spcInfo && spcInfo.game) {
-        gameInfo = {
-          title: spcInfo.game,
-          titleJp: '',
-          system: 'Super Nintendo',
-          author: spcInfo.artist || ''
-        }
+// Point fromId (and anything already aliased to it) at toId
+function addAlias(registry, fromId, toId) {
+  if (fromId === toId || registry.games[fromId]) return
+  Object.keys(registry.aliases).forEach(key => {
+    if (registry.aliases[key] === fromId) registry.aliases[key] = toId
+  })
+  registry.aliases[fromId] = toId
+  delete registry.aliases[toId]
+  console.log(`Game id ${fromId} is now ${toId} (kept as an alias)`)
+}
+
+// Files a game entry points at, relative to OUTPUT_DIR
+function gameOutputs(game) {
+  return [
+    ...game.tracks.flatMap(t => [t.audioFile, t.sourceFile, t.ogImage]),
+    game.coverImage,
+    game.ogImage
+  ].filter(Boolean)
+}
+
+// Tracks of an archive's last build: its cache entry, else the game's detail file
+function loadPreviousTracks(cached, gameId) {
+  if (cached) return cached.game.tracks
+  try {
+    return JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, detailPath(gameId)), 'utf-8')).tracks || []
+  } catch {
+    return []
+  }
+}
+
+function outputsExist(game) {
+  return gameOutputs(game).every(file => fs.existsSync(path.join(OUTPUT_DIR, file)))
+}
+
+// Resolve a manifest path inside OUTPUT_DIR, refusing anything that escapes it
+function outputPath(relativePath) {
+  const resolved = path.resolve(OUTPUT_DIR, relativePath)
+  return resolved.startsWith(OUTPUT_DIR + path.sep) ? resolved : null
+}
+
+// Drop audio files a rebuilt game no longer references, and covers left over
+// from a different image extension
+function pruneGameOutputs(game) {
+  const audioDir = outputPath(game.audioDir)
+  if (audioDir && fs.existsSync(audioDir)) {
+    const referenced = new Set(game.tracks.flatMap(t => [t.audioFile, t.sourceFile]).filter(Boolean).map(f => path.basename(f)))
+    for (const file of fs.readdirSync(audioDir)) {
+      if (!referenced.has(file)) {
+        fs.rmSync(path.join(audioDir, file), { recursive: true, force: true })
+        console.log(`  -> Removed stale ${game.audioDir}/${file}`)
+      }
+    }
+  }
+  for (const [dir, dirName, current] of [[COVERS_DIR, 'covers', game.coverImage], [OG_COVERS_DIR, 'og-covers', game.ogImage]]) {
+    for (const file of fs.readdirSync(dir)) {
+      if (file !== game.id && path.basename(file, path.extname(file)) === game.id && `${dirName}/${file}` !== current) {
+        fs.rmSync(path.join(dir, file), { force: true })
       }
     }
   }
 
-  // Save cover image if found
-  let coverImagePath = null
-  let ogImagePath = null
+  // Track cards of removed tracks, or all of them when built without --track-cards
+  const cardDir = path.join(OG_COVERS_DIR, game.id)
+  if (fs.existsSync(cardDir)) {
+    const cards = new Set(game.tracks.map(t => t.ogImage).filter(Boolean).map(f => path.basename(f)))
+    for (const file of fs.readdirSync(cardDir)) {
+      if (!cards.has(file)) fs.rmSync(path.join(cardDir, file), { force: true })
+    }
+    if (cards.size === 0) fs.rmSync(cardDir, { recursive: true, force: true })
+  }
+}
 
-  if (coverImageData && coverImageExt) {
-    const coverFileName = `${gameId}${coverImageExt}`
-    const coverFullPath = path.join(COVERS_DIR, coverFileName)
-    fs.writeFileSync(coverFullPath, coverImageData)
-    coverImagePath = `covers/${coverFileName}`
-    console.log(`  -> Extracted cover image: ${coverFileName}`)
+// Covers, OG images and track cards named after an id that was replaced by an alias
+function removeIdImages(gameId) {
+  for (const dir of [COVERS_DIR, OG_COVERS_DIR]) {
+    for (const file of fs.readdirSync(dir)) {
+      if (path.basename(file, path.extname(file)) === gameId) fs.rmSync(path.join(dir, file), { recursive: true, force: true })
+    }
+  }
+}
 
-    // Generate OG image
-    try {
-      const ogFileName = `${gameId}.png`
-      const ogFullPath = path.join(OG_COVERS_DIR, ogFileName)
-
-      // Add trackCount and format to gameInfo for OG image
-      const gameInfoWithMeta = {
-        ...gameInfo,
-        trackCount: tracks.length,
-        format: 'spc'
-      }
+// Folders and files generated for a game. Index entries carry no ogImage, so
+// it is derived like in writeCoverImages.
+const ownedOutputs = (game) =>
+  [game.audioDir, game.coverImage, game.ogImage || `og-covers/${game.id}.png`, `og-covers/${game.id}`, detailPath(game.id)]
+    .filter(Boolean)
+    .filter(target => !['covers', 'og-covers'].includes(target))
+
+// Remove what an earlier build generated for a game, except the outputs a
+// current game still uses (`keep`): a renamed archive keeps its id, so only
+// its old audio folder goes.
+function removeGameOutputs(game, keep, archiveDeleted) {
+  const inUse = (target) => keep.has(target) || [...keep].some(file => file.startsWith(`${target}/`))
+  const targets = ownedOutputs(game).filter(target => !inUse(target))
+  for (const target of targets) {
+    const resolved = outputPath(target)
+    if (resolved && fs.existsSync(resolved)) fs.rmSync(resolved, { recursive: true, force: true })
+  }
+  if (archiveDeleted) console.log(`Removed ${game.id} (source archive deleted)`)
+  else if (targets.includes(game.audioDir)) console.log(`Removed ${game.audioDir}/ (moved to a new audio folder)`)
+}
 
-      const { resW, resH } = await createOGImage(coverImageData, gameInfoWithMeta, ogFullPath)
-      ogImagePath = `og-covers/${ogFileName}`
-      console.log(`  -> Generated OG image: ${ogFileName} (cover ${resW}x${resH})`)
-    } catch (e) {
-      console.log(`  -> Failed to generate OG image: ${e.message}`)
+// manifest.json is an index of what the game grid shows; each game's full
+// entry (tracks included) lives in games/<id>.json. Version 1 manifests were a
+// single file with every game's tracks inline.
+const MANIFEST_VERSION = 2
+const INDEX_FIELDS = ['id', 'format', 'audioDir', 'title', 'titleJp', 'system', 'author', 'coverImage', 'trackCount']
+
+const detailPath = (gameId) => `games/${gameId}.json`
+
+function toIndexEntry(game) {
+  const entry = {}
+  INDEX_FIELDS.forEach(field => { entry[field] = game[field] })
+  entry.detail = detailPath(game.id)
+  return entry
+}
+
+// games: full entries, or index entries preserved from a previous run (their
+// detail files are already in place). Aliases are listed when their game is.
+function writeManifest(games, generatedAt, aliases) {
+  fs.mkdirSync(GAMES_DIR, { recursive: true })
+  for (const game of games) {
+    if (Array.isArray(game.tracks)) {
+      fs.writeFileSync(path.join(OUTPUT_DIR, detailPath(game.id)), JSON.stringify(game, null, 2))
+    }
+  }
+
+  const ids = new Set(games.map(g => g.id))
+  for (const file of fs.readdirSync(GAMES_DIR)) {
+    if (file.endsWith('.json') && !ids.has(path.basename(file, '.json'))) {
+      fs.rmSync(path.join(GAMES_DIR, file), { force: true })
+    }
+  }
+
+  const liveAliases = Object.fromEntries(Object.entries(aliases).filter(([, id]) => ids.has(id)))
+  const index = { version: MANIFEST_VERSION, generatedAt, games: games.map(toIndexEntry), aliases: liveAliases }
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(index, null, 2))
+}
+
+// Optional game credits and release details from the tags (GD3 / ID666 /
+// xid6), kept only when set
+const GAME_DETAIL_FIELDS = ['systemJp', 'authorJp', 'releaseDate', 'copyrightYear', 'publisher', 'ostTitle', 'dumper', 'dumpDate', 'notes']
+
+// Per-track credits stay only where they differ from the game's, e.g. a guest
+// composer on one track
+const TRACK_CREDIT_FIELDS = ['author', 'authorJp', 'notes']
+
+function omitSharedCredits(tracks, gameInfo) {
+  return tracks.map(track => {
+    const result = { ...track }
+    for (const key of TRACK_CREDIT_FIELDS) {
+      if (!result[key] || result[key] === gameInfo?.[key]) delete result[key]
     }
+    return result
+  })
+}
+
+// context: { force, trackCards, pool, report } shared by the run, plus the
+// game's previousTracks; per-game stats are added here
+async function buildGame(handler, file, gameId, context) {
+  const zipPath = path.join(handler.dir, file)
+  const stats = { converted: 0, skipped: 0, failed: 0 }
+  const { gameInfo, tracks, coverImage, ogImage } = await processArchive(handler, zipPath, gameId, { ...context, stats })
+
+  const game = {
+    id: gameId,
+    format: handler.format,
+    audioDir: audioDirFor(handler, file),
+    title: gameInfo?.title || path.basename(file, '.zip'),
+    titleJp: gameInfo?.titleJp || '',
+    system: gameInfo?.system || handler.defaultSystem,
+    author: gameInfo?.author || '',
+    ...Object.fromEntries(GAME_DETAIL_FIELDS.filter(key => gameInfo?.[key]).map(key => [key, gameInfo[key]])),
+    coverImage: coverImage,
+    ogImage: ogImage,
+    trackCount: tracks.length,
+    tracks: omitSharedCredits(tracks, gameInfo)
   }
+  return { game, stats }
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds)
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = total % 60
+  if (h > 0) return `${h}h${String(m).padStart(2, '0')}m`
+  if (m > 0) return `${m}m${String(s).padStart(2, '0')}s`
+  return `${s}s`
+}
+
+// One line per finished game with a running ETA, plus the totals at the end
+function createProgress(total) {
+  const startedAt = Date.now()
+  const totals = { converted: 0, skipped: 0, failed: 0, cached: 0, built: 0 }
+  const width = String(total).length
+  let done = 0
+
+  const elapsed = () => (Date.now() - startedAt) / 1000
 
   return {
-    gameInfo,
-    tracks,
-    coverImage: coverImagePath,
-    ogImage: ogImagePath
+    totals,
+    gameDone(label, detail, stats) {
+      done += 1
+      if (stats) {
+        totals.converted += stats.converted
+        totals.skipped += stats.skipped
+        totals.failed += stats.failed
+      }
+      const eta = done < total ? `, ETA ${formatDuration((elapsed() / done) * (total - done))}` : ''
+      console.log(`[${String(done).padStart(width)}/${total}] ${label} ${detail}${eta}`)
+    },
+    summary() {
+      console.log(`\nDone in ${formatDuration(elapsed())}: ${totals.built} built, ${totals.cached} cached`)
+      console.log(`Tracks: ${totals.converted} converted, ${totals.skipped} skipped, ${totals.failed} failed`)
+    }
+  }
+}
+
+// [--force] [--jobs N] [--track-cards] [target]
+function parseArgs(argv) {
+  const options = {
+    force: false,
+    trackCards: false,
+    jobs: typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length,
+    targetFile: null
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--force') {
+      options.force = true
+    } else if (arg === '--track-cards') {
+      options.trackCards = true
+    } else if (arg === '--jobs' || arg.startsWith('--jobs=')) {
+      const value = arg === '--jobs' ? argv[++i] : arg.slice('--jobs='.length)
+      const jobs = Number(value)
+      if (!Number.isInteger(jobs) || jobs < 1) throw new Error(`--jobs expects a positive integer, got ${value}`)
+      options.jobs = jobs
+    } else if (!arg.startsWith('--') && !options.targetFile) {
+      options.targetFile = arg
+    }
   }
+  return options
+}
+
+function hasCommand(command) {
+  const exeNames = process.platform === 'win32' ? [`${command}.exe`, command] : [command]
+  return (process.env.PATH || '').split(path.delimiter).some(dir => exeNames.some(exe => fs.existsSync(path.join(dir, exe))))
 }
 
 async function main() {
   console.log('Scanning dist folder for zip files...')
-  const exeNames = process.platform === 'win32' ? ['vgm2wav2.exe', 'vgm2wav2'] : ['vgm2wav2']
-  const found = (process.env.PATH || '').split(path.delimiter).some(dir => exeNames.some(exe => fs.existsSync(path.join(dir, exe))))
-  if (!found) throw new Error('Required command not found: vgm2wav2')
-
   // Ensure output directories exist
   if (!fs.existsSync(OUTPUT_DIR)) {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true })
@@ -577,116 +1599,148 @@ async function main() {
     fs.mkdirSync(OG_COVERS_DIR, { recursive: true })
   }
 
-  const args = process.argv.slice(2)
-  const force = args.includes('--force')
-  const targetFile = args.find(a => !a.startsWith('--'))
-  console.log(`Mode: ${force ? 'force overwrite' : 'skip existing'}`)
+  const { force, jobs, trackCards, targetFile } = parseArgs(process.argv.slice(2))
+  console.log(`Mode: ${force ? 'force overwrite' : 'skip existing'}, ${jobs} jobs${trackCards ? ', track cards' : ''}`)
 
-  const files = fs.readdirSync(DIST_DIR).filter(f => {
-    if (!f.endsWith('.zip') || f.includes('_backup')) return false
-    if (targetFile && !f.toLowerCase().includes(targetFile.toLowerCase())) return false
-    return true
-  })
-  console.log(`Found ${files.length} zip files (Target: ${targetFile || 'All'})`)
-
-  // Load existing manifest to preserve entries when targeting a specific file
+  // Existing manifest: preserves entries when targeting a specific file, and
+  // tells which games' outputs to clean up once their archive is deleted
   let existingGames = []
-  if (targetFile && fs.existsSync(MANIFEST_PATH)) {
+  if (fs.existsSync(MANIFEST_PATH)) {
     try {
       existingGames = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8')).games || []
       console.log(`Loaded ${existingGames.length} existing games from manifest`)
-    } catch (e) {
+    } catch {
       console.warn('Could not load existing manifest, starting fresh')
     }
   }
 
-  const manifest = {
-    generatedAt: new Date().toISOString(),
-    games: []
+  const cache = loadBuildCache()
+  const nextCache = targetFile ? { ...cache } : {}
+  const presentArchiveKeys = new Set()
+
+  const work = []
+  for (const handler of FORMAT_HANDLERS) {
+    if (!fs.existsSync(handler.dir)) continue
+    const allFiles = fs.readdirSync(handler.dir).filter(f => f.endsWith('.zip') && !f.includes('_backup'))
+    allFiles.forEach(f => presentArchiveKeys.add(`${handler.kind}/${f}`))
+    const files = allFiles.filter(f => !targetFile || f.toLowerCase().includes(targetFile.toLowerCase()))
+    console.log(`Found ${files.length} ${handler.label}zip files (Target: ${targetFile || 'All'})`)
+    files.forEach(file => work.push({ handler, file, archive: `${handler.kind}/${file}`, hash: hashFile(path.join(handler.dir, file)) }))
   }
+  console.log('')
+
+  // Stable ids; an archive whose id changed (e.g. edited in the registry)
+  // leaves its previous id behind as an alias
+  const registry = loadGameIds()
+  const gameIds = assignGameIds(registry, work, presentArchiveKeys)
+  for (const { handler, file, archive } of work) {
+    const previousId = cache[archive]?.game.id ||
+      existingGames.find(g => [path.basename(file, '.zip'), audioDirFor(handler, file)].includes(g.audioDir) &&
+        (g.format || 'vgm') === handler.format)?.id
+    if (previousId && previousId !== gameIds.get(archive) && !registry.games[previousId]) {
+      addAlias(registry, previousId, gameIds.get(archive))
+      removeIdImages(previousId)
+    }
+  }
+  saveGameIds(registry)
+  // A game's archive is present when the id is still registered to one on disk
+  const isPresent = (game) => presentArchiveKeys.has(registry.games[game.id]?.archive)
 
-  for (const file of files) {
-    console.log(`Processing ${file}...`)
-    const zipPath = path.join(DIST_DIR, file)
-    const gameId = path.basename(file, '.zip').replace(/[^a-zA-Z0-9]/g, '_')
+  // Only the render commands of formats with something to build are required
+  for (const command of new Set(work.map(({ handler }) => handler.command))) {
+    if (!hasCommand(command)) throw new Error(`Required command not found: ${command}`)
+  }
 
+  // Heavy work (track renders, OG images) shares one pool; games are also bounded so
+  // only a few archives are held in memory at a time
+  const report = createReport()
+  const context = { force, trackCards, pool: createPool(jobs), report }
+  const gameSlots = createPool(jobs)
+  const progress = createProgress(work.length)
+
+  const buildOrReuse = async ({ handler, file, archive: cacheKey, hash }) => {
+    const label = `${handler.label}${file}`
+    const gameId = gameIds.get(cacheKey)
     try {
-      const { gameInfo, tracks, coverImage, ogImage } = await processZipFile(zipPath, gameId, force)
-
-      const game = {
-        id: gameId,
-        format: 'vgm',
-        audioDir: path.basename(file, '.zip'),
-        title: gameInfo?.title || path.basename(file, '.zip'),
-        titleJp: gameInfo?.titleJp || '',
-        system: gameInfo?.system || 'Unknown',
-        author: gameInfo?.author || '',
-        coverImage: coverImage,
-        ogImage: ogImage,
-        trackCount: tracks.length,
-        tracks: tracks
+      const cached = cache[cacheKey]
+      if (!force && cached && cached.hash === hash && cached.scriptVersion === SCRIPT_VERSION &&
+        cached.game.id === gameId && !!cached.trackCards === trackCards && outputsExist(cached.game)) {
+        nextCache[cacheKey] = cached
+        progress.totals.cached += 1
+        progress.gameDone(label, `-> ${cached.game.title} (cached)`)
+        return cached.game
       }
 
-      manifest.games.push(game)
-      console.log(`  -> ${game.title} (${tracks.length} tracks)`)
-
+      // A changed archive may reuse track names, so its audio is re-rendered
+      const changed = !!cached && cached.hash !== hash
+      const previousTracks = loadPreviousTracks(cached, gameId)
+      const { game, stats } = await buildGame(handler, file, gameId, { ...context, force: force || changed, previousTracks })
+      pruneGameOutputs(game)
+      // Games with failed items are rebuilt next run instead of cached
+      if (stats.failed) delete nextCache[cacheKey]
+      else nextCache[cacheKey] = { hash, scriptVersion: SCRIPT_VERSION, trackCards, game }
+      progress.totals.built += 1
+      const counts = `${stats.converted} converted, ${stats.skipped} skipped${stats.failed ? `, ${stats.failed} failed` : ''}`
+      progress.gameDone(label, `-> ${game.title}${changed ? ' (changed)' : ''}: ${game.tracks.length} tracks (${counts})`, stats)
+      return game
     } catch (e) {
       console.error(`  Error processing ${file}:`, e.message)
+      context.report.error('archive-failed', `${label}: ${e.message}`, { archive: file })
+      progress.gameDone(label, '-> error', { converted: 0, skipped: 0, failed: 1 })
+      return null
     }
   }
 
-  // Process SPC directory
-  if (fs.existsSync(SPC_DIR)) {
-    const spcFiles = fs.readdirSync(SPC_DIR).filter(f => {
-      if (!f.endsWith('.zip') || f.includes('_backup')) return false
-      if (targetFile && !f.toLowerCase().includes(targetFile.toLowerCase())) return false
-      return true
-    })
-    console.log(`\nFound ${spcFiles.length} SPC zip files (Target: ${targetFile || 'All'})`)
-
-    for (const file of spcFiles) {
-      console.log(`Processing SPC: ${file}...`)
-      const zipPath = path.join(SPC_DIR, file)
-      const gameId = path.basename(file, '.zip').replace(/[^a-zA-Z0-9]/g, '_')
-
-      try {
-        const { gameInfo, tracks, coverImage, ogImage } = await processSPCZipFile(zipPath, gameId, force)
-
-        const game = {
-          id: gameId,
-          format: 'spc',
-          audioDir: path.basename(file, '.zip'),
-          title: gameInfo?.title || path.basename(file, '.zip'),
-          titleJp: gameInfo?.titleJp || '',
-          system: gameInfo?.system || 'Super Nintendo',
-          author: gameInfo?.author || '',
-          coverImage: coverImage,
-          ogImage: ogImage,
-          trackCount: tracks.length,
-          tracks: tracks
-        }
-
-        manifest.games.push(game)
-        console.log(`  -> ${game.title} (${tracks.length} tracks)`)
-
-      } catch (e) {
-        console.error(`  Error processing ${file}:`, e.message)
-      }
-    }
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    // Keep archive order regardless of which build finishes first
+    games: (await Promise.all(work.map(item => gameSlots(() => buildOrReuse(item))))).filter(Boolean)
   }
+  progress.summary()
 
   // Merge with existing games (keep entries not processed in this run)
-  if (existingGames.length > 0) {
+  if (targetFile && existingGames.length > 0) {
     const processedIds = new Set(manifest.games.map(g => g.id))
-    const preserved = existingGames.filter(g => !processedIds.has(g.id))
+    const preserved = existingGames.filter(g => !processedIds.has(g.id) && isPresent(g))
     manifest.games = [...manifest.games, ...preserved]
     console.log(`Preserved ${preserved.length} existing game entries`)
   }
 
-  // Write manifest
-  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2))
+  // Archives that were deleted: drop their cache entries and generated files.
+  // Rebuilt games drop outputs they left behind (the audio folder of a renamed
+  // archive); a game whose build failed keeps everything until the next run.
+  const previousGames = new Map()
+  existingGames.forEach(g => previousGames.set(g.id, g))
+  Object.values(cache).forEach(entry => previousGames.set(entry.game.id, entry.game))
+  const currentIds = new Set(manifest.games.map(g => g.id))
+  const currentOutputs = new Set(manifest.games.flatMap(ownedOutputs))
+  previousGames.forEach(game => {
+    if (!isPresent(game) || currentIds.has(game.id)) removeGameOutputs(game, currentOutputs, !isPresent(game))
+  })
+  Object.keys(nextCache).forEach(key => {
+    if (!presentArchiveKeys.has(key)) delete nextCache[key]
+  })
+
+  // Write the index and per-game detail files
+  writeManifest(manifest.games, manifest.generatedAt, registry.aliases)
+  saveBuildCache(nextCache)
   console.log(`\nManifest written to ${MANIFEST_PATH}`)
   console.log(`Total: ${manifest.games.length} games`)
+
+  // Check what was written; the report also carries the build's own problems
+  const buildIssues = report.issues.length
+  const validation = validateManifest({ outputDir: OUTPUT_DIR, sourceDir: SOURCE_DIR }, report)
+  report.issues.slice(buildIssues).forEach(issue => {
+    const line = `[${issue.level.toUpperCase()}] ${issue.code}: ${issue.message}`
+    if (issue.level === 'error') console.error(line)
+    else console.warn(line)
+  })
+  const result = writeReport(BUILD_REPORT_PATH, report, { build: progress.totals, stats: validation })
+  console.log(`Build report: ${result.errors} errors, ${result.warnings} warnings -> ${BUILD_REPORT_PATH}`)
+  if (!result.ok) process.exitCode = 1
 }
 
-main().catch(console.error)
+main().catch((e) => {
+  console.error(e)
+  process.exitCode = 1
+})
@@ -0,0 +1,198 @@
+// Manifest checks shared by generate-manifest.js (after every build) and
+// validate-manifest.js: JSON Schema, referenced files, id collisions. Findings
+// go into a build report, written as JSON for CI and other tools.
+import fs from 'fs'
+import path from 'path'
+import Ajv from 'ajv'
+
+const SCHEMA = JSON.parse(fs.readFileSync(new URL('./manifest.schema.json', import.meta.url), 'utf-8'))
+const REPORT_VERSION = 1
+
+// Archive name -> game id. Distinct names can collapse to the same id
+// ("Foo-Bar.zip" and "Foo_Bar.zip"), which validation flags.
+export const toGameId = (archiveName) => path.basename(archiveName, '.zip').replace(/[^a-zA-Z0-9]/g, '_')
+
+// Collects issues: { level, code, message, ...context }. Messages are also
+// meant for the console; callers keep printing their own output.
+export function createReport() {
+  const issues = []
+  const add = (level) => (code, message, context = {}) => {
+    issues.push({ level, code, message, ...context })
+  }
+  return { issues, error: add('error'), warning: add('warning') }
+}
+
+export function writeReport(reportPath, report, extra = {}) {
+  const errors = report.issues.filter(i => i.level === 'error').length
+  const warnings = report.issues.length - errors
+  const data = {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    ok: errors === 0,
+    errors,
+    warnings,
+    ...extra,
+    issues: report.issues
+  }
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+  fs.writeFileSync(reportPath, JSON.stringify(data, null, 2))
+  return data
+}
+
+const ajv = new Ajv({ allErrors: true })
+ajv.addSchema(SCHEMA)
+const validateIndex = ajv.getSchema(SCHEMA.$id)
+const validateDetail = ajv.getSchema(`${SCHEMA.$id}#/definitions/gameDetail`)
+
+const schemaMessages = (errors) => errors.map(e => (
+  `${e.instancePath || '/'} ${e.message}${e.params?.additionalProperty ? ` (${e.params.additionalProperty})` : ''}`
+))
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+}
+
+// Every archive under music-source/<format>/, to catch ids that collide
+// before the manifest silently keeps only one of the games. Once the build has
+// written music-source/game-ids.json, ids come from there.
+function findIdCollisions(sourceDir, report) {
+  if (!fs.existsSync(sourceDir)) return
+  const registryPath = path.join(sourceDir, 'game-ids.json')
+  let registered = new Map()
+  if (fs.existsSync(registryPath)) {
+    try {
+      const registry = readJson(registryPath)
+      registered = new Map(Object.entries(registry.games || {}).map(([id, entry]) => [entry.archive, id]))
+    } catch (e) {
+      report.error('game-ids-invalid-json', `game-ids.json: ${e.message}`)
+      return
+    }
+  }
+  const archivesById = new Map()
+  for (const folder of fs.readdirSync(sourceDir, { withFileTypes: true })) {
+    if (!folder.isDirectory()) continue
+    for (const file of fs.readdirSync(path.join(sourceDir, folder.name))) {
+      if (!file.endsWith('.zip') || file.includes('_backup')) continue
+      const archive = `${folder.name}/${file}`
+      const id = registered.get(archive) || toGameId(file)
+      archivesById.set(id, [...(archivesById.get(id) || []), archive])
+    }
+  }
+  archivesById.forEach((archives, gameId) => {
+    if (archives.length > 1) {
+      report.error('duplicate-game-id', `${archives.join(', ')} all map to game id "${gameId}"`, { gameId, archives })
+    }
+  })
+}
+
+// Checks manifest.json and the files it references under outputDir. Returns
+// counts for the report.
+export function validateManifest({ outputDir, sourceDir }, report) {
+  const manifestPath = path.join(outputDir, 'manifest.json')
+  const stats = { games: 0, tracks: 0, files: 0 }
+
+  if (sourceDir) findIdCollisions(sourceDir, report)
+
+  if (!fs.existsSync(manifestPath)) {
+    report.error('manifest-missing', `${manifestPath} does not exist`)
+    return stats
+  }
+  let manifest
+  try {
+    manifest = readJson(manifestPath)
+  } catch (e) {
+    report.error('manifest-invalid-json', `manifest.json: ${e.message}`)
+    return stats
+  }
+  if (!validateIndex(manifest)) {
+    schemaMessages(validateIndex.errors).forEach(message => report.error('schema', `manifest.json: ${message}`))
+  }
+
+  // Files must stay inside outputDir, exist and have content
+  const checkFile = (relativePath, context) => {
+    stats.files += 1
+    const resolved = path.resolve(outputDir, relativePath)
+    if (!resolved.startsWith(path.resolve(outputDir) + path.sep)) {
+      report.error('invalid-path', `${relativePath} points outside the music folder`, { ...context, file: relativePath })
+      return
+    }
+    if (!fs.existsSync(resolved)) {
+      report.error('missing-file', `${relativePath} is missing`, { ...context, file: relativePath })
+    } else if (fs.statSync(resolved).size === 0) {
+      report.error('empty-file', `${relativePath} is empty`, { ...context, file: relativePath })
+    }
+  }
+
+  const games = Array.isArray(manifest.games) ? manifest.games : []
+  const seenIds = new Set()
+  const audioDirs = new Map() // audioDir -> game id
+  for (const entry of games) {
+    if (!entry || typeof entry.id !== 'string') continue
+    const gameId = entry.id
+    stats.games += 1
+    if (seenIds.has(gameId)) report.error('duplicate-game-id', `game id "${gameId}" appears more than once in manifest.json`, { gameId })
+    seenIds.add(gameId)
+
+    // Version 2 entries keep their tracks in a detail file
+    let game = entry
+    if (!Array.isArray(entry.tracks)) {
+      const detail = entry.detail || `games/${gameId}.json`
+      const detailPath = path.join(outputDir, detail)
+      try {
+        game = readJson(detailPath)
+      } catch (e) {
+        report.error('detail-unreadable', `${detail}: ${fs.existsSync(detailPath) ? e.message : 'missing'}`, { gameId, file: detail })
+        continue
+      }
+      if (!validateDetail(game)) {
+        schemaMessages(validateDetail.errors).forEach(message => report.error('schema', `${detail}: ${message}`, { gameId, file: detail }))
+      }
+      if (game.id !== gameId) report.error('detail-mismatch', `${detail} has id "${game.id}"`, { gameId, file: detail })
+      for (const field of ['title', 'format', 'audioDir', 'coverImage', 'trackCount']) {
+        if (field in entry && entry[field] !== game[field]) {
+          report.warning('detail-mismatch', `${detail}: ${field} differs from manifest.json`, { gameId, file: detail })
+        }
+      }
+    }
+
+    // A rebuild prunes its audio folder, so two games must never share one
+    if (game.audioDir) {
+      const owner = audioDirs.get(game.audioDir)
+      if (owner && owner !== gameId) {
+        report.error('shared-audio-dir', `${gameId} and ${owner} both use ${game.audioDir}/`, { gameId })
+      }
+      audioDirs.set(game.audioDir, gameId)
+    }
+
+    const tracks = Array.isArray(game.tracks) ? game.tracks : []
+    stats.tracks += tracks.length
+    if (tracks.length === 0) report.warning('no-tracks', `${gameId} has no tracks`, { gameId })
+    if (typeof game.trackCount === 'number' && game.trackCount !== tracks.length) {
+      report.error('track-count', `${gameId}: trackCount is ${game.trackCount} but ${tracks.length} tracks are listed`, { gameId })
+    }
+
+    if (game.coverImage) checkFile(game.coverImage, { gameId })
+    if (game.ogImage) checkFile(game.ogImage, { gameId })
+    const seenAudio = new Set()
+    const seenTrackIds = new Set()
+    for (const track of tracks) {
+      if (track.id) {
+        if (seenTrackIds.has(track.id)) report.error('duplicate-track-id', `${gameId}: track id "${track.id}" is used twice`, { gameId })
+        seenTrackIds.add(track.id)
+      }
+      const audioFile = track.audioFile || `${game.audioDir}/${track.filename}`
+      if (seenAudio.has(audioFile)) report.error('duplicate-track', `${gameId}: ${audioFile} is listed twice`, { gameId, file: audioFile })
+      seenAudio.add(audioFile)
+      checkFile(audioFile, { gameId })
+      if (track.sourceFile) checkFile(track.sourceFile, { gameId })
+      if (track.ogImage) checkFile(track.ogImage, { gameId })
+    }
+  }
+
+  // Legacy ids must point at a listed game and never hide one
+  for (const [alias, gameId] of Object.entries(manifest.aliases || {})) {
+    if (seenIds.has(alias)) report.error('alias-shadows-game', `alias "${alias}" is also a game id`, { gameId: alias })
+    if (!seenIds.has(gameId)) report.error('alias-target-missing', `alias "${alias}" points at unknown game "${gameId}"`, { gameId })
+  }
+  return stats
+}
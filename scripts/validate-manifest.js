@@ -0,0 +1,43 @@
+import process from 'process'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createReport, validateManifest, writeReport } from './manifest-validation.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const OUTPUT_DIR = path.join(__dirname, '../public/music')
+const SOURCE_DIR = path.join(__dirname, '../music-source')
+const DEFAULT_REPORT_PATH = path.join(__dirname, '../.cache/validate-report.json')
+
+// [--report path]
+function parseArgs(argv) {
+  const options = { reportPath: DEFAULT_REPORT_PATH }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--report' || arg.startsWith('--report=')) {
+      const value = arg === '--report' ? argv[++i] : arg.slice('--report='.length)
+      if (!value) throw new Error('--report expects a file path')
+      options.reportPath = path.resolve(value)
+    }
+  }
+  return options
+}
+
+function main() {
+  const { reportPath } = parseArgs(process.argv.slice(2))
+  const report = createReport()
+  const stats = validateManifest({ outputDir: OUTPUT_DIR, sourceDir: SOURCE_DIR }, report)
+
+  for (const issue of report.issues) {
+    const line = `[${issue.level.toUpperCase()}] ${issue.code}: ${issue.message}`
+    if (issue.level === 'error') console.error(line)
+    else console.warn(line)
+  }
+  const result = writeReport(reportPath, report, { stats })
+  console.log(`\nChecked ${stats.games} games, ${stats.tracks} tracks, ${stats.files} files: ${result.errors} errors, ${result.warnings} warnings`)
+  console.log(`Report written to ${reportPath}`)
+  if (!result.ok) process.exitCode = 1
+}
+
+main()
@@ -0,0 +1,21 @@
+// Deployment settings shared by the app (vite.config.js injects them as
+// __SITE_CONFIG__), the service worker (site-config.js, emitted at build) and
+// both edge middlewares. Mirrors and staging sites change only this file.
+const siteConfig = {
+  // Public origin used in absolute links: OG images and the visitor badge.
+  // Empty makes the edge middlewares use the origin of each request.
+  origin: 'https://9-player.pages.dev',
+  // Where manifest.json, game details, covers and audio live on the site
+  musicPath: '/music/',
+  // Optional CDN origin serving the audio files (`<audioOrigin><musicPath>...`).
+  // Empty serves them from the site itself. The CDN must send CORS headers.
+  audioOrigin: ''
+}
+
+const trimOrigin = (origin) => (origin || '').replace(/\/+$/, '')
+
+export default {
+  origin: trimOrigin(siteConfig.origin),
+  musicPath: `/${siteConfig.musicPath.replace(/^\/+|\/+$/g, '')}/`.replace(/^\/\/$/, '/'),
+  audioOrigin: trimOrigin(siteConfig.audioOrigin)
+}
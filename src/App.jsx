@@ -1,61 +1,52 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
-import { useM4APlayer } from './hooks/useM4APlayer'
+import { useVGMPlayer } from './hooks/useVGMPlayer'
+import { usePlaylists } from './hooks/usePlaylists'
+import { useOfflineDownloads } from './hooks/useOfflineDownloads'
 import { Player } from './components/Player'
+import { Playlists } from './components/Playlists'
+import { LikedTracks } from './components/LikedTracks'
+import { SettingsModal } from './components/SettingsModal'
+import { OfflineManager } from './components/OfflineManager'
+import { Stats } from './components/Stats'
+import { findTrack, findTrackIndex, formatSeconds, trackUrlKey } from './utils/tracks'
+import { fetchLibrary, fetchGameDetail, fetchGameDetails, mergeGameDetails } from './utils/library'
+import { exportPlaylistJSON, exportPlaylistM3U, parsePlaylistFile } from './utils/playlistFormats'
+import { gameFiles, playlistFiles } from './utils/offline'
+import { SITE_CONFIG, musicUrl } from './utils/siteConfig'
+import { FILTER_MODES, parseRoute, pushRoute, replaceRoute, saveScrollPosition, canGoBack, splitComposers } from './utils/routes'
 import './App.css'
 
-// URL utilities - supports both query params (for OG tags) and hash (legacy)
-const parseUrlParams = () => {
-  // First check query params (preferred for sharing)
-  const params = new URLSearchParams(window.location.search)
-  const gameId = params.get('game')
-  const trackName = params.get('track')
-  if (gameId) {
-    return { gameId, trackName }
-  }
-
-  // Fallback to hash for backward compatibility
-  const hash = window.location.hash.slice(1)
-  if (!hash) return null
-  const slashIndex = hash.indexOf('/')
-  if (slashIndex === -1) {
-    return { gameId: decodeURIComponent(hash), trackName: null }
-  }
-  return {
-    gameId: decodeURIComponent(hash.slice(0, slashIndex)),
-    trackName: decodeURIComponent(hash.slice(slashIndex + 1))
-  }
-}
-
-const setUrlParams = (gameId, trackName) => {
-  if (!gameId) {
-    history.replaceState(null, '', window.location.pathname)
-    return
-  }
-  // Use query params for better OG tag support
-  const params = new URLSearchParams()
-  params.set('game', gameId)
-  if (trackName) {
-    params.set('track', trackName)
-  }
-  history.replaceState(null, '', `?${params.toString()}`)
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
 }
 
 // localStorage keys
 const FAVORITES_KEY = '9player-favorites'
 const FILTER_KEY = '9player-filter'
 
+// Stored as { version: 2, games: [gameId], tracks: [{ gameId, audioFile }] }.
+// Version 1 was a bare array of favorite game ids; it migrates to `games`.
 const loadFavorites = () => {
   try {
-    const saved = localStorage.getItem(FAVORITES_KEY)
-    return saved ? JSON.parse(saved) : []
+    const saved = JSON.parse(localStorage.getItem(FAVORITES_KEY))
+    if (Array.isArray(saved)) return { games: saved, tracks: [] }
+    return {
+      games: Array.isArray(saved?.games) ? saved.games : [],
+      tracks: Array.isArray(saved?.tracks) ? saved.tracks : []
+    }
   } catch {
-    return []
+    return { games: [], tracks: [] }
   }
 }
 
 const saveFavorites = (favorites) => {
   try {
-    localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites))
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify({ version: 2, ...favorites }))
   } catch {
     // ignore storage errors
   }
@@ -63,54 +54,133 @@ const saveFavorites = (favorites) => {
 
 const loadFilter = () => {
   try {
-    return localStorage.getItem(FILTER_KEY) === 'favorites'
+    const saved = localStorage.getItem(FILTER_KEY)
+    return FILTER_MODES.includes(saved) ? saved : 'all'
   } catch {
-    return false
+    return 'all'
   }
 }
 
-const saveFilter = (showFavoritesOnly) => {
+const saveFilter = (filterMode) => {
   try {
-    localStorage.setItem(FILTER_KEY, showFavoritesOnly ? 'favorites' : 'all')
+    localStorage.setItem(FILTER_KEY, filterMode)
   } catch {
     // ignore storage errors
   }
 }
 
+// Game list state from the URL; the saved filter applies when the URL names none
+const initialListState = () => {
+  const route = parseRoute()
+  const list = route.view === 'list' ? route : parseRoute({ search: '', hash: '' })
+  const hasFilter = new URLSearchParams(window.location.search).has('filter')
+  const { query, system, sort, filter, composer } = list
+  return { query, system, sort, filter: hasFilter ? filter : loadFilter(), composer }
+}
+
+const SORTERS = {
+  title: (a, b) => a.title.localeCompare(b.title),
+  system: (a, b) => (a.system || '').localeCompare(b.system || '') || a.title.localeCompare(b.title)
+}
+
+const isSameTrack = (ref, track) =>
+  ref.gameId === track.game?.id && ref.audioFile === track.path
+
 function App() {
-  const [screen, setScreen] = useState('loading') // loading, start, select, player
+  const [screen, setScreen] = useState('loading') // loading, start, select, player, stats
   const [games, setGames] = useState([])
   const [selectedGame, setSelectedGame] = useState(null)
+  const [collectionTitle, setCollectionTitle] = useState(null) // playlist / liked tracks being played
   const [error, setError] = useState(null)
   const [installPrompt, setInstallPrompt] = useState(null)
-  const [favorites, setFavorites] = useState(loadFavorites)
-  const [showFavoritesOnly, setShowFavoritesOnly] = useState(loadFilter)
-  const [searchQuery, setSearchQuery] = useState('')
+  const [favoriteState, setFavoriteState] = useState(loadFavorites)
+  const [list, setList] = useState(initialListState) // game list: { query, system, sort, filter, composer }
   const [showHelp, setShowHelp] = useState(false)
+  const [showSettings, setShowSettings] = useState(false)
+  const [showOffline, setShowOffline] = useState(false)
   const initialHashHandled = useRef(false)
+  const aliasesRef = useRef({}) // retired game id -> current id, from the manifest
+  const clipEndRef = useRef(null) // { path, end } while playing a shared clip
+  const pendingScrollRef = useRef(history.state?.scrollY ?? null) // game list scroll to restore
+  const applyRouteRef = useRef(null)
+  const statsReturnScreen = useRef('select') // STATS goes back to where it was opened
+
+  const player = useVGMPlayer()
+  const playlistStore = usePlaylists()
+  const offline = useOfflineDownloads()
 
-  const player = useM4APlayer()
+  const { query: searchQuery, filter: filterMode, system: systemFilter, sort: sortMode, composer } = list
+  const updateList = (changes) => setList(prev => ({ ...prev, ...changes }))
+  const favorites = favoriteState.games
+  const likedTracks = favoriteState.tracks
 
   // Toggle favorite status
   const toggleFavorite = useCallback((e, gameId) => {
     e.stopPropagation() // Prevent triggering game selection
-    setFavorites(prev => {
-      const newFavorites = prev.includes(gameId)
-        ? prev.filter(id => id !== gameId)
-        : [...prev, gameId]
+    setFavoriteState(prev => {
+      const newFavorites = {
+        ...prev,
+        games: prev.games.includes(gameId)
+          ? prev.games.filter(id => id !== gameId)
+          : [...prev.games, gameId]
+      }
       saveFavorites(newFavorites)
       return newFavorites
     })
   }, [])
 
+  // Toggle a single track's liked (♥) status
+  const toggleLike = useCallback((track) => {
+    if (!track?.game) return
+    setFavoriteState(prev => {
+      const liked = prev.tracks.some(ref => isSameTrack(ref, track))
+      const newFavorites = {
+        ...prev,
+        tracks: liked
+          ? prev.tracks.filter(ref => !isSameTrack(ref, track))
+          : [...prev.tracks, { gameId: track.game.id, audioFile: track.path }]
+      }
+      saveFavorites(newFavorites)
+      return newFavorites
+    })
+  }, [])
+
+  const isTrackLiked = useCallback(
+    (track) => !!track && likedTracks.some(ref => isSameTrack(ref, track)),
+    [likedTracks]
+  )
+
+  // Fetch detail files (tracks) for the given games and merge them into the
+  // library; resolves to the library including them
+  const loadGameDetails = useCallback(async (gameIds) => {
+    const loaded = await fetchGameDetails(games, gameIds)
+    if (loaded.length > 0) setGames(prev => mergeGameDetails(prev, loaded))
+    return mergeGameDetails(games, loaded)
+  }, [games])
+
+  // Liked tracks and playlists list tracks from many games; load just those
+  const referencedGameIds = [...new Set([
+    ...likedTracks.map(ref => ref.gameId),
+    ...playlistStore.playlists.flatMap(playlist => playlist.tracks.map(ref => ref.gameId))
+  ])].sort().join('\n')
+
+  useEffect(() => {
+    if (screen !== 'select' || !referencedGameIds) return
+    fetchGameDetails(games, referencedGameIds.split('\n')).then(loaded => {
+      if (loaded.length > 0) setGames(prev => mergeGameDetails(prev, loaded))
+    })
+  }, [screen, referencedGameIds, games])
+
   // Save filter state when it changes
   useEffect(() => {
-    saveFilter(showFavoritesOnly)
-  }, [showFavoritesOnly])
+    saveFilter(filterMode)
+  }, [filterMode])
 
   // Filter and sort games
   const filteredGames = games.filter(g => {
-    if (showFavoritesOnly && !favorites.includes(g.id)) return false
+    if (filterMode === 'favorites' && !favorites.includes(g.id)) return false
+    if (systemFilter && g.system !== systemFilter) return false
+    if (composer && !splitComposers(g.author).includes(composer)) return false
     if (searchQuery) {
       const q = searchQuery.toLowerCase()
       return (g.title?.toLowerCase().includes(q) || g.titleJp?.toLowerCase().includes(q) || g.system?.toLowerCase().includes(q))
@@ -118,9 +188,9 @@ function App() {
     return true
   })
 
-  // In ALL mode, keep original order so cards don't jump when toggling favorites.
-  // In FAVORITES mode, no sort needed since all items are already favorites.
-  const sortedGames = filteredGames
+  // DEFAULT keeps manifest order, so cards don't jump when toggling favorites
+  const sortedGames = SORTERS[sortMode] ? [...filteredGames].sort(SORTERS[sortMode]) : filteredGames
+  const systems = [...new Set(games.map(g => g.system).filter(Boolean))].sort()
 
   // PWA install prompt
   useEffect(() => {
@@ -132,37 +202,53 @@ function App() {
     return () => window.removeEventListener('beforeinstallprompt', handler)
   }, [])
 
-  // Handle initial hash navigation (play from URL hash)
-  const handleHashNavigation = useCallback(async (gamesData, hashInfo) => {
-    if (!hashInfo || !hashInfo.gameId) return false
-
-    const game = gamesData.find(g => g.id === hashInfo.gameId)
+  // Open a game page route (shared link, reload, back/forward) and play its track
+  const openGameRoute = useCallback(async (gamesData, route) => {
+    const game = gamesData.find(g => g.id === route.gameId)
     if (!game) return false
 
     setSelectedGame(game)
     setScreen('player')
 
-    const tracks = player.loadGame(game)
+    const tracks = await player.loadGame(game)
 
     if (tracks && tracks.length > 0) {
       let trackIndex = 0
-      if (hashInfo.trackName) {
-        const foundIndex = tracks.findIndex(t => t.name === hashInfo.trackName)
+      if (route.trackKey) {
+        const foundIndex = findTrackIndex(tracks, route.trackKey)
         if (foundIndex !== -1) trackIndex = foundIndex
       }
-      setTimeout(() => player.play(trackIndex, tracks), 100)
+      setTimeout(() => {
+        player.play(trackIndex, tracks, { startAt: route.start })
+        clipEndRef.current = route.end ? { path: tracks[trackIndex].path, end: route.end } : null
+      }, 100)
     }
     return true
   }, [player])
 
-  // Load manifest
+  // A shared clip pauses at its end= time, once, on the track it was shared for
+  const pausePlayback = player.pause
   useEffect(() => {
-    fetch('/music/manifest.json')
-      .then(res => res.json())
-      .then(data => {
-        setGames(data.games)
-        // Don't handle hash here - wait for player to be ready
-        if (!parseUrlParams()) {
+    const clip = clipEndRef.current
+    if (!clip) return
+    if (player.currentTrack?.path !== clip.path) {
+      if (player.currentTrack) clipEndRef.current = null
+      return
+    }
+    if (player.elapsed >= clip.end) {
+      clipEndRef.current = null
+      pausePlayback()
+    }
+  }, [player.currentTrack, player.elapsed, pausePlayback])
+
+  // Load the library index (tracks are fetched per game when needed)
+  useEffect(() => {
+    fetchLibrary()
+      .then(library => {
+        aliasesRef.current = library.aliases
+        setGames(library.games)
+        // Game and playlist routes open once the games are in state
+        if (parseRoute().view === 'list') {
           setTimeout(() => setScreen('select'), 500)
         }
       })
@@ -173,19 +259,51 @@ function App() {
       })
   }, [])
 
-  // Handle hash navigation when games are loaded (player is always ready)
+  // Keep the game list's scroll position with its history entry (for reloads)
   useEffect(() => {
-    if (games.length === 0 || initialHashHandled.current) return
+    if (screen !== 'select') return
+    window.addEventListener('pagehide', saveScrollPosition)
+    return () => window.removeEventListener('pagehide', saveScrollPosition)
+  }, [screen])
 
-    const hashInfo = parseUrlParams()
-    if (!hashInfo || !hashInfo.gameId) {
-      initialHashHandled.current = true
-      return
-    }
+  // Restore it once the list is rendered (also back / forward between lists)
+  useEffect(() => {
+    if (screen !== 'select' || games.length === 0 || pendingScrollRef.current === null) return
+    const scrollY = pendingScrollRef.current
+    pendingScrollRef.current = null
+    requestAnimationFrame(() => window.scrollTo(0, scrollY))
+  }, [screen, games.length, list])
 
-    initialHashHandled.current = true
-    handleHashNavigation(games, hashInfo)
-  }, [games, handleHashNavigation])
+  // The game list's filters are reflected in the URL as they change
+  useEffect(() => {
+    if (screen === 'select') replaceRoute({ view: 'list', ...list })
+  }, [screen, list])
+
+  // Leaving the game list for a new page: remember where the list was scrolled
+  const leaveList = () => {
+    if (screen === 'select') saveScrollPosition()
+  }
+
+  // Composer pages are the game list narrowed to one composer ('' for all)
+  const openComposer = (name) => {
+    saveScrollPosition()
+    pushRoute({ view: 'list', ...list, composer: name })
+    updateList({ composer: name })
+    window.scrollTo(0, 0)
+  }
+
+  const showList = useCallback(() => {
+    player.stop()
+    setScreen('select')
+    setSelectedGame(null)
+    setCollectionTitle(null)
+  }, [player])
+
+  // BACK returns to the previous page when the app pushed one, else to the list
+  const handleBack = useCallback(() => {
+    if (canGoBack()) history.back()
+    else showList()
+  }, [showList])
 
   // Keyboard shortcuts
   useEffect(() => {
@@ -207,65 +325,236 @@ function App() {
           player.stop()
           break
         case 'Escape':
-          player.stop()
-          setScreen('select')
-          setSelectedGame(null)
-          setUrlParams(null, null)
+          handleBack()
           break
       }
     }
 
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [screen, player])
+  }, [screen, player, handleBack])
 
   const handleStart = () => {
     setScreen('select')
   }
 
-  const handleGameSelect = (game) => {
+  const handleGameSelect = async (game) => {
+    leaveList()
+    pushRoute({ view: 'game', gameId: game.id })
     player.stop()
 
     // Unlock AudioContext synchronously while still in user-gesture context.
     player.resumeAudio()
 
     setSelectedGame(game)
+    setCollectionTitle(null)
     setScreen('player')
 
-    const tracks = player.loadGame(game)
+    const tracks = await player.loadGame(game)
 
     if (tracks && tracks.length > 0) {
-      setTimeout(() => {
-        player.play(0, tracks)
-        setUrlParams(game.id, tracks[0].name)
-      }, 100)
+      setTimeout(() => player.play(0, tracks), 100)
     }
   }
 
-  // Wrapper for track selection that updates hash
-  const handleSelectTrack = useCallback((trackIndex) => {
-    player.play(trackIndex)
-    if (selectedGame && player.trackList[trackIndex]) {
-      setUrlParams(selectedGame.id, player.trackList[trackIndex].name)
+  // Update URL when track changes (track list, next/prev, or a queued track
+  // from another game). Playlist pages keep their own URL.
+  useEffect(() => {
+    const currentTrack = player.currentTrack
+    const gameId = currentTrack?.game?.id || selectedGame?.id
+    if (screen === 'player' && currentTrack && gameId && parseRoute().view !== 'playlist') {
+      replaceRoute({ view: 'game', gameId, trackKey: trackUrlKey(currentTrack) })
     }
-  }, [player, selectedGame])
+  }, [player.currentTrack, selectedGame, screen])
 
-  const handleBack = () => {
+  // Resume the track that was playing before the last reload / stop
+  const savedPosition = player.savedPosition
+  const resumeGame = savedPosition ? games.find(g => g.id === savedPosition.track.game?.id) : null
+
+  // Open a game's track list and start at a given track (resume, stats screen)
+  const openGameAtTrack = async (game, trackPath, startAt = 0) => {
+    leaveList()
+    pushRoute({ view: 'game', gameId: game.id })
     player.stop()
-    setScreen('select')
+    player.resumeAudio()
+
+    setSelectedGame(game)
+    setCollectionTitle(null)
+    setScreen('player')
+
+    const tracks = await player.loadGame(game)
+    const trackIndex = Math.max(0, tracks.findIndex(t => t.path === trackPath))
+    if (tracks.length > 0) {
+      setTimeout(() => player.play(trackIndex, tracks, { startAt }), 100)
+    }
+  }
+
+  const handleResume = () => {
+    if (!resumeGame) return
+    openGameAtTrack(resumeGame, savedPosition.track.path, savedPosition.elapsed)
+  }
+
+  const resumeBar = resumeGame && (
+    <button className="resume-bar" onClick={handleResume}>
+      <span className="resume-label">▶ RESUME</span>
+      <span className="resume-track">{savedPosition.track.name}</span>
+      <span className="resume-game">{resumeGame.title} · {formatSeconds(savedPosition.elapsed)}</span>
+    </button>
+  )
+
+  const toggleStats = () => {
+    if (screen === 'stats') {
+      setScreen(statsReturnScreen.current)
+    } else {
+      statsReturnScreen.current = screen === 'player' ? 'player' : 'select'
+      setScreen('stats')
+    }
+  }
+
+  const handlePlayFromStats = (gameId, trackPath) => {
+    const game = games.find(g => g.id === gameId)
+    if (game) openGameAtTrack(game, trackPath)
+  }
+
+  const handleSelectFromStats = (gameId) => {
+    const game = games.find(g => g.id === gameId)
+    if (game) handleGameSelect(game)
+  }
+
+  // Play { gameId, audioFile } refs as one continuous list; refs missing from
+  // the library are skipped. Used by playlists and the liked tracks view.
+  // `route` is pushed as the new page; resolves to false if nothing could play.
+  const playTrackRefs = async (refs, startIndex, title, route = null) => {
+    // Unlock audio while still in the click, before fetching game details
+    player.resumeAudio()
+    const library = await loadGameDetails(refs.map(ref => ref.gameId))
+    const resolved = refs.map(ref => findTrack(library, ref.gameId, ref.audioFile))
+    const tracks = resolved.filter(Boolean)
+    if (tracks.length === 0) return false
+    const trackIndex = resolved.slice(0, startIndex).filter(Boolean).length
+
+    if (route) {
+      leaveList()
+      pushRoute(route)
+    }
+    player.stop()
+
     setSelectedGame(null)
-    setUrlParams(null, null) // Clear hash
+    setCollectionTitle(title)
+    setScreen('player')
+
+    const trackList = player.loadTracks(tracks)
+    setTimeout(() => player.play(trackIndex, trackList), 100)
+    return true
+  }
+
+  const handlePlayPlaylist = (playlist, startIndex = 0) => {
+    playTrackRefs(playlist.tracks, startIndex, `♫ ${playlist.name}`, { view: 'playlist', playlistId: playlist.id })
+  }
+
+  // Liked tracks have no page of their own; the new entry takes the playing
+  // track's game URL, and BACK returns to the list
+  const handlePlayLiked = (startIndex = 0) => {
+    playTrackRefs(likedTracks, startIndex, '♥ LIKED TRACKS', { view: 'list', ...list })
+  }
+
+  // Show the page a route describes (the first URL, back / forward); unknown
+  // games and playlists fall back to the list
+  const applyRoute = async (route) => {
+    if (route.view === 'game') {
+      // Old links keep working but the address bar shows the current id
+      if (route.legacyId) replaceRoute(route)
+      if (screen === 'player' && selectedGame?.id === route.gameId) return
+      if (await openGameRoute(games, route)) return
+    } else if (route.view === 'playlist') {
+      const playlist = playlistStore.playlists.find(p => p.id === route.playlistId)
+      if (playlist && await playTrackRefs(playlist.tracks, 0, `♫ ${playlist.name}`)) return
+    } else {
+      const { query, system, sort, filter, composer } = route
+      setList({ query, system, sort, filter, composer })
+      if (screen === 'select') return
+    }
+    showList()
   }
 
-  // Update hash when track changes (next/prev)
   useEffect(() => {
-    if (selectedGame && player.trackList.length > 0 && player.currentTrackIndex >= 0) {
-      const currentTrack = player.trackList[player.currentTrackIndex]
-      if (currentTrack) {
-        setUrlParams(selectedGame.id, currentTrack.name)
-      }
+    applyRouteRef.current = applyRoute
+  })
+
+  // Open the URL's game or playlist once games are loaded (player is always
+  // ready); list state was already read from the URL
+  useEffect(() => {
+    if (games.length === 0 || initialHashHandled.current) return
+    initialHashHandled.current = true
+    const route = parseRoute(window.location, aliasesRef.current)
+    if (route.view !== 'list') applyRouteRef.current(route)
+  }, [games])
+
+  // Back / forward: the URL is the state to show
+  useEffect(() => {
+    history.scrollRestoration = 'manual'
+    const handlePopState = (e) => {
+      pendingScrollRef.current = e.state?.scrollY ?? null
+      applyRouteRef.current(parseRoute(window.location, aliasesRef.current))
+    }
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+
+
+  const handleExportPlaylist = async (playlist, format) => {
+    const safeName = playlist.name.replace(/[^\w\-. ]+/g, '_').trim() || 'playlist'
+    const library = await loadGameDetails(playlist.tracks.map(ref => ref.gameId))
+    if (format === 'm3u') {
+      downloadFile(exportPlaylistM3U(playlist, library, window.location.origin), `${safeName}.m3u`, 'audio/x-mpegurl')
+    } else {
+      downloadFile(exportPlaylistJSON(playlist, library), `${safeName}.json`, 'application/json')
     }
-  }, [player.currentTrackIndex, player.trackList, selectedGame])
+  }
+
+  const handleImportPlaylist = async (file) => {
+    try {
+      const { playlists, skipped } = parsePlaylistFile(await file.text(), file.name, games)
+      const created = playlistStore.importPlaylists(playlists)
+      const trackCount = created.reduce((n, p) => n + p.tracks.length, 0)
+      window.alert(`Imported ${created.length} playlist(s), ${trackCount} tracks` +
+        (skipped ? ` (${skipped} not found in library)` : ''))
+    } catch (err) {
+      console.error('Playlist import failed:', err)
+      window.alert('Could not read playlist file')
+    }
+  }
+
+  // DOWNLOAD FOR OFFLINE: every track, the cover and the game's manifest entry
+  const handleDownloadGame = async (game) => {
+    try {
+      const fullGame = await fetchGameDetail(game)
+      const item = { kind: 'game', id: game.id, title: game.title, trackCount: fullGame.tracks.length }
+      if (await offline.download(item, gameFiles(fullGame))) return
+    } catch (err) {
+      console.error('Failed to load game details:', err)
+    }
+    window.alert(`Could not download ${game.title} for offline use`)
+  }
+
+  const handleDownloadPlaylist = async (playlist) => {
+    const library = await loadGameDetails(playlist.tracks.map(ref => ref.gameId))
+    const item = { kind: 'playlist', id: playlist.id, title: playlist.name, trackCount: playlist.tracks.length }
+    if (!await offline.download(item, playlistFiles(playlist, library))) {
+      window.alert(`Could not download ${playlist.name} for offline use`)
+    }
+  }
+
+  const offlineLabel = (kind, id, idleLabel) => {
+    const progress = offline.getProgress(kind, id)
+    if (progress) return `⤓ ${progress.done}/${progress.total}`
+    return offline.isDownloaded(kind, id) ? '✓ OFFLINE' : idleLabel
+  }
+
+  const handleQueueGame = (e, game) => {
+    e.stopPropagation() // Prevent triggering game selection
+    player.addGameToQueue(game)
+  }
 
   const handleInstall = async () => {
     if (!installPrompt) return
@@ -280,7 +569,7 @@ function App() {
     <div className="app">
       <header className="header">
         <img
-          src="https://api.visitorbadge.io/api/visitors?path=https%3A%2F%2F9-player.pages.dev&label=VISITORS&labelColor=%231a1a2e&countColor=%2300e5ff"
+          src={`https://api.visitorbadge.io/api/visitors?path=${encodeURIComponent(SITE_CONFIG.origin || window.location.origin)}&label=VISITORS&labelColor=%231a1a2e&countColor=%2300e5ff`}
           alt="visitor count"
           className="visitor-counter"
         />
@@ -292,6 +581,20 @@ function App() {
                 INSTALL
               </button>
             )}
+            <button
+              className={`help-button ${screen === 'stats' ? 'active' : ''}`}
+              onClick={toggleStats}
+              disabled={screen === 'loading'}
+              title="Stats"
+            >
+              ▤
+            </button>
+            <button className="help-button" onClick={() => setShowOffline(true)} title="Offline downloads">
+              ⤓
+            </button>
+            <button className="help-button" onClick={() => setShowSettings(true)} title="Settings">
+              ⚙
+            </button>
             <button className="help-button" onClick={() => setShowHelp(true)}>
               ?
             </button>
@@ -351,39 +654,105 @@ function App() {
                   className="search-input"
                   placeholder="SEARCH..."
                   value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onChange={(e) => updateList({ query: e.target.value })}
                 />
                 {searchQuery && (
-                  <button className="search-clear" onClick={() => setSearchQuery('')}>×</button>
+                  <button className="search-clear" onClick={() => updateList({ query: '' })}>×</button>
                 )}
               </div>
               <div className="filter-row">
                 <div className="filter-toggle">
                   <button
-                    className={`filter-btn ${!showFavoritesOnly ? 'active' : ''}`}
-                    onClick={() => setShowFavoritesOnly(false)}
+                    className={`filter-btn ${filterMode === 'all' ? 'active' : ''}`}
+                    onClick={() => updateList({ filter: 'all' })}
                   >
                     ALL
                   </button>
                   <button
-                    className={`filter-btn ${showFavoritesOnly ? 'active' : ''}`}
-                    onClick={() => setShowFavoritesOnly(true)}
+                    className={`filter-btn ${filterMode === 'favorites' ? 'active' : ''}`}
+                    onClick={() => updateList({ filter: 'favorites' })}
                   >
                     ★ FAVORITES
                   </button>
+                  <button
+                    className={`filter-btn ${filterMode === 'liked' ? 'active' : ''}`}
+                    onClick={() => updateList({ filter: 'liked' })}
+                  >
+                    ♥ LIKED TRACKS
+                  </button>
                 </div>
-                <span className="filter-count">{sortedGames.length} TITLES</span>
+                {filterMode !== 'liked' && (
+                  <div className="filter-selects">
+                    <select
+                      className="filter-select"
+                      value={systemFilter}
+                      onChange={(e) => updateList({ system: e.target.value })}
+                      title="System"
+                    >
+                      <option value="">ALL SYSTEMS</option>
+                      {systems.map(system => <option key={system} value={system}>{system}</option>)}
+                    </select>
+                    <select
+                      className="filter-select"
+                      value={sortMode}
+                      onChange={(e) => updateList({ sort: e.target.value })}
+                      title="Sort"
+                    >
+                      <option value="default">SORT: DEFAULT</option>
+                      <option value="title">SORT: TITLE</option>
+                      <option value="system">SORT: SYSTEM</option>
+                    </select>
+                  </div>
+                )}
+                <span className="filter-count">
+                  {filterMode === 'liked' ? `${likedTracks.length} TRACKS` : `${sortedGames.length} TITLES`}
+                </span>
               </div>
             </div>
 
+            {composer && (
+              <div className="composer-bar">
+                <span className="composer-label">COMPOSER</span>
+                <span className="composer-name">{composer}</span>
+                <button className="composer-clear" onClick={() => openComposer('')} title="Show all composers">×</button>
+              </div>
+            )}
+
+            {resumeBar}
+
+            {games.length > 0 && (
+              <Playlists
+                playlists={playlistStore.playlists}
+                games={games}
+                onPlay={handlePlayPlaylist}
+                onCreate={playlistStore.createPlaylist}
+                onRename={playlistStore.renamePlaylist}
+                onDelete={playlistStore.deletePlaylist}
+                onRemoveTrack={playlistStore.removeFromPlaylist}
+                onMoveTrack={playlistStore.moveInPlaylist}
+                onImport={handleImportPlaylist}
+                onExport={handleExportPlaylist}
+                onDownload={offline.supported ? handleDownloadPlaylist : null}
+                offlineLabel={(playlist) => offlineLabel('playlist', playlist.id, '⤓')}
+              />
+            )}
+
             {games.length === 0 ? (
               <div className="empty-state">
                 <div className="empty-icon">📁</div>
                 <p className="empty-text">NO MUSIC FOUND<br />ADD ZIP FILES TO DIST FOLDER</p>
               </div>
+            ) : filterMode === 'liked' ? (
+              <LikedTracks
+                likedTracks={likedTracks}
+                games={games}
+                searchQuery={searchQuery}
+                onPlay={handlePlayLiked}
+                onToggleLike={toggleLike}
+              />
             ) : sortedGames.length === 0 ? (
               <div className="empty-state">
-                {showFavoritesOnly && !searchQuery ? (
+                {filterMode === 'favorites' && !searchQuery ? (
                   <>
                     <div className="empty-icon">★</div>
                     <p className="empty-text">NO FAVORITES YET<br />CLICK ★ ON ALBUMS TO ADD</p>
@@ -410,10 +779,20 @@ function App() {
                     >
                       ★
                     </button>
+                    <button
+                      className="queue-add-btn"
+                      onClick={(e) => handleQueueGame(e, game)}
+                      title="Add all tracks to queue"
+                    >
+                      +
+                    </button>
+                    {offline.isDownloaded('game', game.id) && (
+                      <span className="offline-badge" title="Available offline">⤓</span>
+                    )}
                     <div className="game-image">
                       {game.coverImage ? (
                         <img
-                          src={`/music/${game.coverImage}`}
+                          src={musicUrl(game.coverImage)}
                           alt={game.title}
                           onError={(e) => {
                             e.target.style.display = 'none'
@@ -434,7 +813,20 @@ function App() {
                       <span className="game-system">{game.system}</span>
                       <p className="game-tracks">{game.trackCount} TRACKS</p>
                       {game.author && (
-                        <p className="game-author">{game.author}</p>
+                        <p className="game-author">
+                          {splitComposers(game.author).map((name, index) => (
+                            <span key={name}>
+                              {index > 0 && ', '}
+                              <button
+                                className="composer-link"
+                                onClick={(e) => { e.stopPropagation(); openComposer(name) }}
+                                title={`Games by ${name}`}
+                              >
+                                {name}
+                              </button>
+                            </span>
+                          ))}
+                        </p>
                       )}
                     </div>
                   </div>
@@ -444,6 +836,26 @@ function App() {
           </>
         )}
 
+        {screen === 'stats' && (
+          <>
+            <div style={{ marginBottom: '20px' }}>
+              <button
+                className="back-button"
+                onClick={toggleStats}
+              >
+                ← BACK
+              </button>
+              <span className="current-game-title">STATS</span>
+            </div>
+
+            <Stats
+              resumeBar={resumeBar}
+              onPlayTrack={handlePlayFromStats}
+              onSelectGame={handleSelectFromStats}
+            />
+          </>
+        )}
+
         {screen === 'player' && (
           <>
             <div style={{ marginBottom: '20px' }}>
@@ -454,8 +866,19 @@ function App() {
                 ← BACK
               </button>
               <span className="current-game-title">
-                {selectedGame?.title}
+                {selectedGame?.title || collectionTitle}
               </span>
+              {selectedGame && offline.supported && (
+                <button
+                  className="offline-btn"
+                  onClick={() => offline.isDownloaded('game', selectedGame.id)
+                    ? setShowOffline(true)
+                    : handleDownloadGame(selectedGame)}
+                  disabled={!!offline.getProgress('game', selectedGame.id)}
+                >
+                  {offlineLabel('game', selectedGame.id, '⤓ DOWNLOAD FOR OFFLINE')}
+                </button>
+              )}
             </div>
 
             <Player
@@ -463,16 +886,16 @@ function App() {
               trackInfo={player.trackInfo}
               trackList={player.trackList}
               currentTrackIndex={player.currentTrackIndex}
-              coverImage={selectedGame?.coverImage}
-              gameAuthor={selectedGame?.author}
-              gameSystem={selectedGame?.system}
+              coverImage={player.trackInfo?.coverImage || selectedGame?.coverImage}
+              gameAuthor={player.trackInfo ? player.trackInfo.author : selectedGame?.author}
+              gameSystem={player.trackInfo ? player.trackInfo.system : selectedGame?.system}
               elapsed={player.elapsed}
               duration={player.currentTrack?.length || 0}
               onTogglePlayback={player.togglePlayback}
               onNext={player.nextTrack}
               onPrev={player.prevTrack}
               onStop={player.stop}
-              onSelectTrack={handleSelectTrack}
+              onSelectTrack={player.play}
               onSeek={player.seek}
               repeatMode={player.repeatMode}
               onToggleRepeat={player.toggleRepeatMode}
@@ -481,6 +904,26 @@ function App() {
               volume={player.volume}
               onVolumeChange={player.setVolume}
               frequencyData={player.frequencyData}
+              queue={player.queue}
+              onPlayNext={player.playNext}
+              onAddToQueue={player.addToQueue}
+              onPlayQueued={player.playFromQueue}
+              onMoveQueued={player.moveInQueue}
+              onRemoveQueued={player.removeFromQueue}
+              onClearQueue={player.clearQueue}
+              playlists={playlistStore.playlists}
+              onAddToPlaylist={playlistStore.addToPlaylist}
+              onCreatePlaylist={playlistStore.createPlaylist}
+              currentTrack={player.currentTrack}
+              isTrackLiked={isTrackLiked}
+              onToggleLike={toggleLike}
+              channels={player.channels}
+              channelLevels={player.channelLevels}
+              mutedChannels={player.mutedChannels}
+              soloChannels={player.soloChannels}
+              onToggleChannelMute={player.toggleChannelMute}
+              onToggleChannelSolo={player.toggleChannelSolo}
+              onResetChannels={player.resetChannels}
             />
           </>
         )}
@@ -509,6 +952,13 @@ function App() {
               <ul className="help-features">
                 <li>Click album cover to expand</li>
                 <li>Click star to add favorites</li>
+                <li>Click heart to like single tracks</li>
+                <li>Use + / ⤴ to queue tracks from any game</li>
+                <li>Use ♫ to add tracks to playlists</li>
+                <li>⤓ keeps games and playlists for offline play</li>
+                <li>▤ shows your listening stats</li>
+                <li>SYNTH engine: CHANNELS view mutes / solos each voice</li>
+                <li>Click a composer to list their games</li>
                 <li>Share button copies track URL</li>
                 <li>URL sharing shows preview</li>
               </ul>
@@ -525,6 +975,35 @@ function App() {
         </div>
       )}
 
+      {/* Offline Downloads */}
+      {showOffline && (
+        <OfflineManager
+          supported={offline.supported}
+          items={offline.items}
+          storage={offline.storage}
+          onRemove={offline.remove}
+          onClose={() => setShowOffline(false)}
+        />
+      )}
+
+      {/* Settings Modal */}
+      {showSettings && (
+        <SettingsModal
+          spectrumMode={player.spectrumMode}
+          onSpectrumModeChange={player.setSpectrumMode}
+          crossfade={player.crossfade}
+          onCrossfadeChange={player.setCrossfade}
+          loopMode={player.loopMode}
+          onLoopModeChange={player.setLoopMode}
+          loopCount={player.loopCount}
+          onLoopCountChange={player.setLoopCount}
+          engine={player.engine}
+          onEngineChange={player.setEngine}
+          synthSupported={player.synthSupported}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
       <footer className="footer">
         <p className="footer-text">
           BUILT WITH REACT | BACKGROUND PLAYBACK ENABLED
@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef } from 'react'
+import { useVGMPlayer } from './hooks/useVGMPlayer'
+import { Player } from './components/Player'
+import { fetchLibrary } from './utils/library'
+import { findTrackIndex, trackUrlKey } from './utils/tracks'
+import { parseRoute, routeUrl } from './utils/routes'
+import './Embed.css'
+
+// /embed?game=<id>&track=<id>: the player alone, for iframes (edge/og.js serves
+// the oEmbed markup). Nothing plays until the visitor presses play; t= / end=
+// apply to the linked track like in share links.
+function Embed() {
+  const player = useVGMPlayer({ persist: false })
+  const [game, setGame] = useState(null)
+  const [cuedIndex, setCuedIndex] = useState(0)
+  const [error, setError] = useState(null)
+  const clipRef = useRef(null) // { index, start, end } of the linked track, until it plays
+  const clipEndRef = useRef(null)
+
+  const loadGame = player.loadGame
+  useEffect(() => {
+    fetchLibrary()
+      .then(async library => {
+        const route = parseRoute(window.location, library.aliases)
+        const found = route.view === 'game' && library.games.find(g => g.id === route.gameId)
+        if (!found) {
+          setError('GAME NOT FOUND')
+          return
+        }
+        setGame(found)
+        const tracks = await loadGame(found)
+        const index = route.trackKey ? Math.max(0, findTrackIndex(tracks, route.trackKey)) : 0
+        setCuedIndex(index)
+        clipRef.current = { index, start: route.start, end: route.end }
+      })
+      .catch(err => {
+        console.error('Failed to load embed:', err)
+        setError('LOAD FAILED')
+      })
+  }, [loadGame])
+
+  // A clip pauses at its end= time, as in App
+  const pausePlayback = player.pause
+  useEffect(() => {
+    const clip = clipEndRef.current
+    if (!clip) return
+    if (player.currentTrack?.path !== clip.path) {
+      if (player.currentTrack) clipEndRef.current = null
+      return
+    }
+    if (player.elapsed >= clip.end) {
+      clipEndRef.current = null
+      pausePlayback()
+    }
+  }, [player.currentTrack, player.elapsed, pausePlayback])
+
+  const playTrack = (index) => {
+    const clip = clipRef.current
+    clipRef.current = null
+    const isClip = clip?.index === index
+    player.play(index, null, { startAt: isClip ? clip.start : 0 })
+    if (isClip) clipEndRef.current = clip.end ? { path: player.trackList[index].path, end: clip.end } : null
+  }
+
+  // The first press plays the linked (cued) track
+  const handleTogglePlayback = () => {
+    if (player.currentTrack) player.togglePlayback()
+    else if (player.trackList[cuedIndex]) playTrack(cuedIndex)
+  }
+
+  if (error) return <div className="embed-message">{error}</div>
+  if (!game) return <div className="embed-message">LOADING...</div>
+
+  // Before anything plays, show the cued track
+  const shownTrack = player.currentTrack || player.trackList[cuedIndex] || null
+  const previewInfo = shownTrack && !player.trackInfo ? {
+    title: shownTrack.name,
+    titleJp: shownTrack.nameJp && shownTrack.nameJp !== shownTrack.name ? shownTrack.nameJp : null,
+    game: game.title,
+    length: shownTrack.lengthFormatted
+  } : null
+  const appUrl = `${window.location.origin}/${routeUrl({
+    view: 'game',
+    gameId: game.id,
+    trackKey: shownTrack ? trackUrlKey(shownTrack) : null
+  })}`
+
+  return (
+    <div className="embed">
+      <div className="embed-header">
+        <span className="embed-game">{game.title}</span>
+        <a className="embed-open" href={appUrl} target="_blank" rel="noopener noreferrer" title="Open in 8-bitbox">
+          ♪ 8-bitbox ↗
+        </a>
+      </div>
+      <Player
+        compact
+        shareUrl={appUrl}
+        isPlaying={player.isPlaying}
+        trackInfo={player.trackInfo || previewInfo}
+        trackList={player.trackList}
+        currentTrackIndex={player.currentTrack ? player.currentTrackIndex : cuedIndex}
+        coverImage={game.coverImage}
+        gameAuthor={game.author}
+        gameSystem={game.system}
+        elapsed={player.elapsed}
+        duration={player.currentTrack?.length || 0}
+        onTogglePlayback={handleTogglePlayback}
+        onNext={player.nextTrack}
+        onPrev={player.prevTrack}
+        onStop={player.stop}
+        onSelectTrack={playTrack}
+        onSeek={player.seek}
+        repeatMode={player.repeatMode}
+        onToggleRepeat={player.toggleRepeatMode}
+        shuffle={player.shuffle}
+        onToggleShuffle={player.toggleShuffle}
+        volume={player.volume}
+        onVolumeChange={player.setVolume}
+        frequencyData={player.frequencyData}
+        currentTrack={player.currentTrack}
+      />
+    </div>
+  )
+}
+
+export default Embed
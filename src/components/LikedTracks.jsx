@@ -0,0 +1,76 @@
+import { findTrack } from '../utils/tracks'
+import { hasTracks } from '../utils/library'
+
+// "LIKED TRACKS" view on the select screen - individual tracks from any game.
+// Reuses the playlist track row styles.
+export function LikedTracks({ likedTracks, games, searchQuery, onPlay, onToggleLike }) {
+  const q = searchQuery.toLowerCase()
+  const rows = likedTracks
+    .map((ref, index) => ({ index, track: findTrack(games, ref.gameId, ref.audioFile) }))
+    .filter(({ track }) => track && (!q ||
+      track.name?.toLowerCase().includes(q) ||
+      track.game.title?.toLowerCase().includes(q) ||
+      track.game.system?.toLowerCase().includes(q)))
+
+  if (likedTracks.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">♥</div>
+        <p className="empty-text">NO LIKED TRACKS YET<br />CLICK ♥ ON A TRACK TO ADD</p>
+      </div>
+    )
+  }
+
+  // Games whose detail files are still being fetched
+  const loading = likedTracks.some(ref => {
+    const game = games.find(g => g.id === ref.gameId)
+    return game && !hasTracks(game)
+  })
+
+  if (rows.length === 0 && loading) {
+    return (
+      <div className="empty-state">
+        <p className="empty-text">LOADING...</p>
+      </div>
+    )
+  }
+
+  if (rows.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">🔍</div>
+        <p className="empty-text">NO RESULTS FOUND</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="playlists-section liked-tracks">
+      <div className="playlists-header">
+        <span className="playlists-title">♥ LIKED TRACKS</span>
+        <button className="filter-btn" onClick={() => onPlay(0)}>▶ PLAY ALL</button>
+      </div>
+      {rows.map(({ index, track }) => (
+        <div
+          key={`${track.game.id}/${track.path}`}
+          className="playlist-track"
+          onClick={() => onPlay(index)}
+        >
+          <span className="track-number">{String(index + 1).padStart(2, '0')}</span>
+          <span className="playlist-track-name">
+            {track.name}
+            <small>{track.game.title} · {track.game.system}</small>
+          </span>
+          <span className="track-duration">{track.lengthFormatted}</span>
+          <button
+            className="playlist-btn like-btn active"
+            onClick={(e) => { e.stopPropagation(); onToggleLike(track) }}
+            title="Unlike"
+          >
+            ♥
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import { formatBytes } from '../utils/offline'
+
+// Offline downloads manager - shares the help modal look (help-overlay / help-modal)
+export function OfflineManager({ supported, items, storage, onRemove, onClose }) {
+  const downloadedBytes = items.reduce((total, item) => total + (item.bytes || 0), 0)
+  const sortedItems = [...items].sort((a, b) => b.downloadedAt - a.downloadedAt)
+
+  const handleRemove = (item) => {
+    if (window.confirm(`Remove "${item.title}" from offline storage?`)) onRemove(item.key)
+  }
+
+  return (
+    <div className="help-overlay" onClick={onClose}>
+      <div className="help-modal" onClick={e => e.stopPropagation()}>
+        <button className="help-close" onClick={onClose}>X</button>
+        <h2 className="help-title">OFFLINE</h2>
+
+        <div className="help-section">
+          <h3>STORAGE</h3>
+          <p className="settings-note">
+            {formatBytes(downloadedBytes)} DOWNLOADED
+            {storage && <><br />{formatBytes(storage.usage)} OF {formatBytes(storage.quota)} USED BY THIS SITE</>}
+          </p>
+          {!supported && (
+            <p className="settings-note">This browser cannot store music for offline use.</p>
+          )}
+        </div>
+
+        <div className="help-section">
+          <h3>DOWNLOADS ({items.length})</h3>
+          {sortedItems.length === 0 ? (
+            <p className="settings-note">
+              Use ⤓ DOWNLOAD FOR OFFLINE on a game, or ⤓ on a playlist, to keep it on this device.
+            </p>
+          ) : (
+            <ul className="offline-list">
+              {sortedItems.map(item => (
+                <li key={item.key} className="offline-item">
+                  <div className="offline-item-info">
+                    <span className="offline-item-title">
+                      {item.kind === 'playlist' ? '♫ ' : ''}{item.title}
+                    </span>
+                    <span className="offline-item-meta">
+                      {item.trackCount} TRACKS · {formatBytes(item.bytes)}
+                    </span>
+                  </div>
+                  <button className="playlist-btn danger" onClick={() => handleRemove(item)} title="Remove">
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,4 +1,6 @@
 import { useEffect, useRef, useState } from 'react'
+import { buildShareUrl, parseTimestamp } from '../utils/shareLinks'
+import { musicUrl } from '../utils/siteConfig'
 import './Player.css'
 
 // Format seconds to MM:SS
@@ -8,6 +10,77 @@ const formatTime = (seconds) => {
   return `${mins}:${secs.toString().padStart(2, '0')}`
 }
 
+const VISUALIZER_KEY = '9player-visualizer'
+
+const loadVisualizerMode = () => {
+  try {
+    return localStorage.getItem(VISUALIZER_KEY) === 'channels' ? 'channels' : 'spectrum'
+  } catch {
+    return 'spectrum'
+  }
+}
+
+const saveVisualizerMode = (mode) => {
+  try {
+    localStorage.setItem(VISUALIZER_KEY, mode)
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Piano roll: one column per channel report (~30/s), MIDI C1-C8 vertically
+const ROLL_COLUMNS = 160
+const ROLL_LOW = 24
+const ROLL_HIGH = 108
+const ROLL_MIN_LEVEL = 0.02
+const CHANNEL_COLORS = [
+  '#00fff7', '#00b3ff', '#4d7cff', '#9d6bff', '#ff00ff', '#ff5c8a',
+  '#ffff00', '#ff9900', '#00ff00', '#8888aa'
+]
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+
+const toMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440)
+
+const formatNote = (frequency) => {
+  if (!frequency) return '--'
+  const midi = Math.round(toMidi(frequency))
+  return `${NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`
+}
+
+// Joins an English/Japanese pair, skipping the second when it repeats the first
+const withJapanese = (en, jp) => [en, jp && jp !== en ? jp : ''].filter(Boolean).join(' / ')
+
+// INFO panel rows: the track's own credits first, then the game's tag details.
+// Tracks only carry a composer when it differs from the game's author.
+const buildInfoRows = (track) => {
+  const game = track.game || {}
+  const loop = track.loopInfo || track
+  const rows = [
+    ['COMPOSER', withJapanese(track.author, track.authorJp)],
+    ['OST TRACK', track.ostTrack && [track.ostDisc && `DISC ${track.ostDisc}`, `#${track.ostTrack}`].filter(Boolean).join(' · ')],
+    ['LOOP', loop.loopLength && [
+      `INTRO ${formatTime(Math.round(loop.introLength || 0))}`,
+      `LOOP ${formatTime(Math.round(loop.loopLength))}`,
+      loop.fadeLength && `FADE ${formatTime(Math.round(loop.fadeLength))}`
+    ].filter(Boolean).join(' · ')],
+    ['TRACK NOTES', track.notes],
+    ['GAME', withJapanese(game.title, game.titleJp)],
+    ['OST', game.ostTitle],
+    ['SYSTEM', withJapanese(game.system !== 'Unknown' && game.system, game.systemJp)],
+    ['AUTHOR', withJapanese(game.author, game.authorJp)],
+    ['PUBLISHER', game.publisher],
+    ['RELEASED', game.releaseDate || game.copyrightYear],
+    ['RIPPED BY', [game.dumper, game.dumpDate && `(${game.dumpDate})`].filter(Boolean).join(' ')],
+    ['NOTES', game.notes]
+  ]
+  return rows.filter(([, value]) => value)
+}
+
+// Any solo overrides mutes (same rule as the engine's channel mask)
+const isChannelSilent = (id, muted, soloed) => (
+  soloed.length > 0 ? !soloed.includes(id) : muted.includes(id)
+)
+
 export function Player({
   isPlaying,
   trackInfo,
@@ -30,7 +103,31 @@ export function Player({
   shuffle,
   onToggleShuffle,
   volume = 0.8,
-  onVolumeChange
+  onVolumeChange,
+  queue = [],
+  onPlayNext,
+  onAddToQueue,
+  onPlayQueued,
+  onMoveQueued,
+  onRemoveQueued,
+  onClearQueue,
+  playlists = [],
+  onAddToPlaylist,
+  onCreatePlaylist,
+  currentTrack,
+  isTrackLiked,
+  onToggleLike,
+  channels = [],
+  channelLevels,
+  mutedChannels = [],
+  soloChannels = [],
+  onToggleChannelMute,
+  onToggleChannelSolo,
+  onResetChannels,
+  // Embed mini-player: no queue, INFO, channel view or per-track actions;
+  // shared links point at `shareUrl` instead of the page's own URL
+  compact = false,
+  shareUrl = null
 }) {
   const remaining = Math.max(0, duration - elapsed)
   const progress = duration > 0 ? (elapsed / duration) * 100 : 0
@@ -41,17 +138,63 @@ export function Player({
   const [toastMessage, setToastMessage] = useState(null)
   const [isMuted, setIsMuted] = useState(false)
   const [volumeBeforeMute, setVolumeBeforeMute] = useState(0.8)
+  const [playlistMenuPath, setPlaylistMenuPath] = useState(null)
+  const [visualizerMode, setVisualizerMode] = useState(loadVisualizerMode)
+  const [isInfoOpen, setIsInfoOpen] = useState(false)
+  const [isShareMenuOpen, setIsShareMenuOpen] = useState(false)
+  const rollCanvasRef = useRef(null)
+  const rollHistoryRef = useRef([])
+  // The channel view needs a synthesized track; otherwise fall back to the spectrum
+  const showChannels = !compact && visualizerMode === 'channels' && channels.length > 0
 
-  // Copy current URL to clipboard
-  const handleShare = async () => {
+  const changeVisualizerMode = (mode) => {
+    setVisualizerMode(mode)
+    saveVisualizerMode(mode)
+  }
+
+  const showToast = (message) => {
+    setToastMessage(message)
+    setTimeout(() => setToastMessage(null), 2000)
+  }
+
+  const handleAddToPlaylist = (playlist, track) => {
+    onAddToPlaylist?.(playlist.id, track)
+    setPlaylistMenuPath(null)
+    showToast(`ADDED TO ${playlist.name.toUpperCase()}`)
+  }
+
+  const handleCreatePlaylist = (track) => {
+    const name = window.prompt('New playlist name')
+    setPlaylistMenuPath(null)
+    if (!name || !name.trim()) return
+    onCreatePlaylist?.(name, [track])
+    showToast(`CREATED ${name.trim().toUpperCase()}`)
+  }
+
+  // Copy the current URL to the clipboard, optionally with a start time / clip
+  const handleShare = async (clip) => {
+    setIsShareMenuOpen(false)
     try {
-      await navigator.clipboard.writeText(window.location.href)
-      setToastMessage('URL COPIED!')
-      setTimeout(() => setToastMessage(null), 2000)
-    } catch (err) {
-      setToastMessage('COPY FAILED')
-      setTimeout(() => setToastMessage(null), 2000)
+      await navigator.clipboard.writeText(buildShareUrl(shareUrl || window.location.href, clip))
+      showToast('URL COPIED!')
+    } catch {
+      showToast('COPY FAILED')
+    }
+  }
+
+  // "1:23-2:10" (or just "1:23" to share from there)
+  const handleShareClip = () => {
+    const input = window.prompt('Clip range (start-end)', `${formatTime(Math.floor(elapsed))}-`)
+    if (input === null) return
+    const [startText, endText] = input.split(/[-–]/)
+    const start = parseTimestamp(startText)
+    const end = parseTimestamp(endText)
+    if (start === null || (endText?.trim() && (end === null || end <= start))) {
+      setIsShareMenuOpen(false)
+      showToast('INVALID RANGE')
+      return
     }
+    handleShare({ start, end })
   }
 
   // Calculate image size to fit screen while maintaining aspect ratio
@@ -94,8 +237,59 @@ export function Player({
     drawSpectrum(overlayCanvasRef.current)
   }, [frequencyData])
 
+  // Keep a rolling history of channel reports for the piano roll
+  useEffect(() => {
+    if (!channelLevels) {
+      rollHistoryRef.current = []
+      return
+    }
+    const history = rollHistoryRef.current
+    history.push(channelLevels)
+    if (history.length > ROLL_COLUMNS) history.shift()
+  }, [channelLevels])
+
+  // Draw the piano roll: pitched voices as note bars, noise along the bottom edge
+  useEffect(() => {
+    const canvas = rollCanvasRef.current
+    if (!showChannels || !canvas) return
+    const ctx = canvas.getContext('2d')
+    const w = canvas.width
+    const h = canvas.height
+    const noiseHeight = 6
+    const rollHeight = h - noiseHeight - 2
+    const columnW = w / ROLL_COLUMNS
+    ctx.clearRect(0, 0, w, h)
+
+    ctx.fillStyle = 'rgba(136, 136, 170, 0.15)'
+    for (let midi = ROLL_LOW; midi <= ROLL_HIGH; midi += 12) {
+      const y = rollHeight - ((midi - ROLL_LOW) / (ROLL_HIGH - ROLL_LOW)) * rollHeight
+      ctx.fillRect(0, Math.round(y), w, 1)
+    }
+
+    const history = rollHistoryRef.current
+    history.forEach((column, i) => {
+      const x = w - (history.length - i) * columnW
+      channels.forEach(channel => {
+        const level = column.levels[channel.index]
+        if (level < ROLL_MIN_LEVEL) return
+        ctx.globalAlpha = isChannelSilent(channel.id, mutedChannels, soloChannels) ? 0.15 : 0.35 + 0.65 * Math.min(1, level)
+        ctx.fillStyle = CHANNEL_COLORS[channel.index]
+        if (channel.kind === 'noise') {
+          ctx.fillRect(x, h - noiseHeight, columnW, noiseHeight)
+          return
+        }
+        const frequency = column.frequencies[channel.index]
+        if (!frequency) return
+        const position = (toMidi(frequency) - ROLL_LOW) / (ROLL_HIGH - ROLL_LOW)
+        if (position < 0 || position > 1) return
+        ctx.fillRect(x, rollHeight - position * rollHeight - 1, columnW, 3)
+      })
+    })
+    ctx.globalAlpha = 1
+  }, [showChannels, channelLevels, channels, mutedChannels, soloChannels])
+
   return (
-    <div className="player-container">
+    <div className={`player-container ${compact ? 'compact' : ''}`}>
       {/* Expanded Image Overlay */}
       {isImageExpanded && coverImage && (
         <div className="image-overlay" onClick={() => setIsImageExpanded(false)}>
@@ -115,7 +309,7 @@ export function Player({
               height: expandedImageSize.height
             } : {}}>
               <img
-                src={`/music/${coverImage}`}
+                src={musicUrl(coverImage)}
                 alt="Cover Expanded"
                 onLoad={handleImageLoad}
               />
@@ -132,12 +326,23 @@ export function Player({
         <div className="now-playing-content">
           {coverImage && (
             <div className="cover-image" onClick={() => setIsImageExpanded(true)}>
-              <img src={`/music/${coverImage}`} alt="Cover" />
+              <img src={musicUrl(coverImage)} alt="Cover" />
             </div>
           )}
           {trackInfo ? (
             <div className="track-info">
-              <div className="track-title">{trackInfo.title}</div>
+              <div className="track-title">
+                {trackInfo.title}
+                {currentTrack && onToggleLike && (
+                  <button
+                    className={`like-btn now-playing-like ${isTrackLiked?.(currentTrack) ? 'active' : ''}`}
+                    onClick={() => onToggleLike(currentTrack)}
+                    title={isTrackLiked?.(currentTrack) ? 'Unlike' : 'Like'}
+                  >
+                    ♥
+                  </button>
+                )}
+              </div>
               {trackInfo.titleJp && <div className="track-title-jp">{trackInfo.titleJp}</div>}
               {gameSystem && gameSystem !== 'Unknown' && <div className="track-system">{gameSystem}</div>}
               {gameAuthor && <div className="track-author">{gameAuthor}</div>}
@@ -155,6 +360,28 @@ export function Player({
         </div>
       </div>
 
+      {/* Expandable tag details for the current track */}
+      {currentTrack && !compact && (
+        <div className="track-details">
+          <button
+            className={`track-details-toggle ${isInfoOpen ? 'open' : ''}`}
+            onClick={() => setIsInfoOpen(open => !open)}
+          >
+            {isInfoOpen ? '▾' : '▸'} INFO
+          </button>
+          {isInfoOpen && (
+            <dl className="track-details-list">
+              {buildInfoRows(currentTrack).map(([label, value]) => (
+                <div key={label} className="track-details-row">
+                  <dt>{label}</dt>
+                  <dd>{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </div>
+      )}
+
       {/* Progress Bar */}
       {trackInfo && (
         <div
@@ -199,9 +426,24 @@ export function Player({
         <button className="control-btn stop-btn" onClick={onStop} title="Stop (S)">
           ⏹
         </button>
-        <button className="control-btn share-btn" onClick={handleShare} title="Share URL">
-          🔗
-        </button>
+        <span className="share-control">
+          <button
+            className={`control-btn share-btn ${isShareMenuOpen ? 'active' : ''}`}
+            onClick={() => setIsShareMenuOpen(!isShareMenuOpen)}
+            title="Share URL"
+          >
+            🔗
+          </button>
+          {isShareMenuOpen && (
+            <div className="share-menu">
+              <button onClick={() => handleShare()}>COPY LINK</button>
+              <button onClick={() => handleShare({ start: Math.floor(elapsed) })} disabled={!currentTrack}>
+                COPY LINK AT {formatTime(Math.floor(elapsed))}
+              </button>
+              <button onClick={handleShareClip} disabled={!currentTrack}>COPY CLIP…</button>
+            </div>
+          )}
+        </span>
       </div>
 
       {/* Volume Control */}
@@ -242,11 +484,74 @@ export function Player({
         <div className="toast-message">{toastMessage}</div>
       )}
 
-      {/* Visualizer (Canvas-based frequency spectrum) */}
+      {/* Visualizer mode: spectrum, or per-voice piano roll for synthesized tracks */}
+      {channels.length > 0 && !compact && (
+        <div className="visualizer-tabs">
+          <button
+            className={`visualizer-tab ${!showChannels ? 'active' : ''}`}
+            onClick={() => changeVisualizerMode('spectrum')}
+          >
+            SPECTRUM
+          </button>
+          <button
+            className={`visualizer-tab ${showChannels ? 'active' : ''}`}
+            onClick={() => changeVisualizerMode('channels')}
+          >
+            CHANNELS
+          </button>
+          {(mutedChannels.length > 0 || soloChannels.length > 0) && (
+            <button className="visualizer-tab channel-reset" onClick={onResetChannels} title="Unmute all channels">
+              RESET
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Visualizer (Canvas-based frequency spectrum or piano roll) */}
       <div className="visualizer">
-        <canvas ref={canvasRef} width={320} height={110} style={{ width: '100%', height: '100%' }} />
+        {showChannels ? (
+          <canvas ref={rollCanvasRef} width={320} height={110} style={{ width: '100%', height: '100%' }} />
+        ) : (
+          <canvas ref={canvasRef} width={320} height={110} style={{ width: '100%', height: '100%' }} />
+        )}
       </div>
 
+      {/* Channel strips: level, note and mute/solo per voice */}
+      {showChannels && (
+        <div className="channel-strips">
+          {channels.map(channel => {
+            const level = Math.min(1, channelLevels?.levels[channel.index] || 0)
+            const frequency = channelLevels?.frequencies[channel.index] || 0
+            const color = CHANNEL_COLORS[channel.index]
+            return (
+              <div key={channel.id} className={`channel-strip ${isChannelSilent(channel.id, mutedChannels, soloChannels) ? 'silent' : ''}`}>
+                <span className="channel-label" style={{ color }}>{channel.label}</span>
+                <span className="channel-meter">
+                  <span className="channel-meter-fill" style={{ width: `${level * 100}%`, background: color }} />
+                </span>
+                <span className="channel-note">
+                  {channel.kind === 'noise' ? (level >= ROLL_MIN_LEVEL ? 'NOISE' : '--') : formatNote(frequency)}
+                </span>
+                <button
+                  className={`channel-btn ${mutedChannels.includes(channel.id) ? 'active' : ''}`}
+                  onClick={() => onToggleChannelMute?.(channel.id)}
+                  title={`Mute ${channel.label}`}
+                >
+                  M
+                </button>
+                <button
+                  className={`channel-btn solo ${soloChannels.includes(channel.id) ? 'active' : ''}`}
+                  onClick={() => onToggleChannelSolo?.(channel.id)}
+                  title={`Solo ${channel.label}`}
+                >
+                  S
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
       {/* Track List */}
       <div className="track-list">
         <div className="track-list-header">TRACK LIST</div>
@@ -260,10 +565,114 @@ export function Player({
               <span className="track-number">{String(index + 1).padStart(2, '0')}</span>
               <span className="track-name">{track.name}</span>
               <span className="track-duration">{track.lengthFormatted}</span>
+              <span className="track-actions">
+                {onToggleLike && (
+                  <button
+                    className={`track-action-btn like-btn ${isTrackLiked?.(track) ? 'active' : ''}`}
+                    onClick={(e) => { e.stopPropagation(); onToggleLike(track) }}
+                    title={isTrackLiked?.(track) ? 'Unlike' : 'Like'}
+                  >
+                    ♥
+                  </button>
+                )}
+                <button
+                  className="track-action-btn"
+                  onClick={(e) => { e.stopPropagation(); onPlayNext?.(track) }}
+                  title="Play next"
+                >
+                  ⤴
+                </button>
+                <button
+                  className="track-action-btn"
+                  onClick={(e) => { e.stopPropagation(); onAddToQueue?.(track) }}
+                  title="Add to queue"
+                >
+                  +
+                </button>
+                <button
+                  className="track-action-btn"
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    setPlaylistMenuPath(playlistMenuPath === track.path ? null : track.path)
+                  }}
+                  title="Add to playlist"
+                >
+                  ♫
+                </button>
+                {playlistMenuPath === track.path && (
+                  <div className="playlist-menu" onClick={(e) => e.stopPropagation()}>
+                    {playlists.map(playlist => (
+                      <button key={playlist.id} onClick={() => handleAddToPlaylist(playlist, track)}>
+                        {playlist.name}
+                      </button>
+                    ))}
+                    <button className="playlist-menu-new" onClick={() => handleCreatePlaylist(track)}>
+                      + NEW PLAYLIST
+                    </button>
+                  </div>
+                )}
+              </span>
             </div>
           ))}
         </div>
       </div>
+
+      {/* Queue */}
+      <div className="track-list queue-panel">
+        <div className="track-list-header queue-header">
+          <span>QUEUE ({queue.length})</span>
+          {queue.length > 0 && (
+            <button className="queue-clear-btn" onClick={onClearQueue} title="Clear queue">
+              CLEAR
+            </button>
+          )}
+        </div>
+        {queue.length === 0 ? (
+          <div className="queue-empty">USE ⤴ OR + ON A TRACK TO QUEUE IT</div>
+        ) : (
+          <div className="track-list-scroll">
+            {queue.map((entry, index) => (
+              <div
+                key={entry.queueId}
+                className="track-item"
+                onClick={() => onPlayQueued?.(index)}
+              >
+                <span className="track-number">{String(index + 1).padStart(2, '0')}</span>
+                <span className="track-name">
+                  {entry.name}
+                  {entry.game?.title && <small className="queue-game">{entry.game.title}</small>}
+                </span>
+                <span className="track-duration">{entry.lengthFormatted}</span>
+                <span className="track-actions">
+                  <button
+                    className="track-action-btn"
+                    onClick={(e) => { e.stopPropagation(); onMoveQueued?.(index, index - 1) }}
+                    disabled={index === 0}
+                    title="Move up"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    className="track-action-btn"
+                    onClick={(e) => { e.stopPropagation(); onMoveQueued?.(index, index + 1) }}
+                    disabled={index === queue.length - 1}
+                    title="Move down"
+                  >
+                    ▼
+                  </button>
+                  <button
+                    className="track-action-btn"
+                    onClick={(e) => { e.stopPropagation(); onRemoveQueued?.(index) }}
+                    title="Remove"
+                  >
+                    ✕
+                  </button>
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   )
 }
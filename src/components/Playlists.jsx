@@ -0,0 +1,202 @@
+import { useRef, useState } from 'react'
+import { findTrack } from '../utils/tracks'
+import { hasTracks } from '../utils/library'
+import './Playlists.css'
+
+// Playlists section on the select screen
+export function Playlists({
+  playlists,
+  games,
+  onPlay,
+  onCreate,
+  onRename,
+  onDelete,
+  onRemoveTrack,
+  onMoveTrack,
+  onImport,
+  onExport,
+  onDownload,
+  offlineLabel
+}) {
+  const [expandedId, setExpandedId] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [draftName, setDraftName] = useState('')
+  const [dragIndex, setDragIndex] = useState(null)
+  const fileInputRef = useRef(null)
+  const cancelEditRef = useRef(false)
+
+  const startEditing = (playlist) => {
+    cancelEditRef.current = false
+    setEditingId(playlist.id)
+    setDraftName(playlist.name)
+  }
+
+  const commitEditing = () => {
+    if (cancelEditRef.current) {
+      setEditingId(null)
+      return
+    }
+    if (editingId === 'new') {
+      const created = onCreate(draftName)
+      setExpandedId(created.id)
+    } else if (editingId) {
+      onRename(editingId, draftName)
+    }
+    setEditingId(null)
+  }
+
+  const handleNameKeyDown = (e) => {
+    if (e.key === 'Enter') e.currentTarget.blur() // commits via onBlur
+    if (e.key === 'Escape') {
+      cancelEditRef.current = true
+      e.currentTarget.blur()
+    }
+    e.stopPropagation() // keep player shortcuts out of the text field
+  }
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0]
+    if (file) onImport(file)
+    e.target.value = ''
+  }
+
+  const renderNameInput = () => (
+    <input
+      className="playlist-name-input"
+      value={draftName}
+      autoFocus
+      onChange={(e) => setDraftName(e.target.value)}
+      onKeyDown={handleNameKeyDown}
+      onBlur={commitEditing}
+      placeholder="PLAYLIST NAME"
+    />
+  )
+
+  return (
+    <div className="playlists-section">
+      <div className="playlists-header">
+        <span className="playlists-title">PLAYLISTS</span>
+        <div className="playlists-actions">
+          <button className="filter-btn" onClick={() => { cancelEditRef.current = false; setEditingId('new'); setDraftName('') }}>
+            + NEW
+          </button>
+          <button className="filter-btn" onClick={() => fileInputRef.current?.click()}>
+            IMPORT
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.m3u,.m3u8,application/json,audio/x-mpegurl"
+            style={{ display: 'none' }}
+            onChange={handleFileChange}
+          />
+        </div>
+      </div>
+
+      {editingId === 'new' && (
+        <div className="playlist-row">{renderNameInput()}</div>
+      )}
+
+      {playlists.length === 0 && editingId !== 'new' && (
+        <p className="playlists-empty">NO PLAYLISTS YET - ADD TRACKS WITH ♫ IN THE PLAYER</p>
+      )}
+
+      {playlists.map(playlist => {
+        const expanded = expandedId === playlist.id
+        return (
+          <div key={playlist.id} className={`playlist-card ${expanded ? 'expanded' : ''}`}>
+            <div className="playlist-row">
+              {editingId === playlist.id ? renderNameInput() : (
+                <button
+                  className="playlist-name"
+                  onClick={() => setExpandedId(expanded ? null : playlist.id)}
+                  title={expanded ? 'Collapse' : 'Show tracks'}
+                >
+                  {expanded ? '▾' : '▸'} {playlist.name}
+                  <span className="playlist-count">{playlist.tracks.length} TRACKS</span>
+                </button>
+              )}
+              <div className="playlist-buttons">
+                <button
+                  className="playlist-btn"
+                  onClick={() => onPlay(playlist, 0)}
+                  disabled={playlist.tracks.length === 0}
+                  title="Play"
+                >
+                  ▶
+                </button>
+                <button className="playlist-btn" onClick={() => startEditing(playlist)} title="Rename">✎</button>
+                <button className="playlist-btn" onClick={() => onExport(playlist, 'json')} title="Export JSON">JSON</button>
+                <button className="playlist-btn" onClick={() => onExport(playlist, 'm3u')} title="Export M3U">M3U</button>
+                {onDownload && (
+                  <button
+                    className="playlist-btn"
+                    onClick={() => onDownload(playlist)}
+                    disabled={playlist.tracks.length === 0}
+                    title="Download for offline"
+                  >
+                    {offlineLabel(playlist)}
+                  </button>
+                )}
+                <button
+                  className="playlist-btn danger"
+                  onClick={() => {
+                    if (window.confirm(`Delete playlist "${playlist.name}"?`)) onDelete(playlist.id)
+                  }}
+                  title="Delete"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+
+            {expanded && (
+              <div className="playlist-tracks">
+                {playlist.tracks.length === 0 && (
+                  <p className="playlists-empty">EMPTY PLAYLIST</p>
+                )}
+                {playlist.tracks.map((ref, index) => {
+                  const track = findTrack(games, ref.gameId, ref.audioFile)
+                  const game = games.find(g => g.id === ref.gameId)
+                  const status = game && !hasTracks(game) ? 'LOADING...' : 'NOT IN LIBRARY'
+                  return (
+                    <div
+                      key={`${ref.gameId}/${ref.audioFile}/${index}`}
+                      className={`playlist-track ${dragIndex === index ? 'dragging' : ''} ${track ? '' : 'missing'}`}
+                      draggable
+                      onDragStart={(e) => {
+                        setDragIndex(index)
+                        e.dataTransfer.effectAllowed = 'move'
+                      }}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => {
+                        e.preventDefault()
+                        if (dragIndex !== null) onMoveTrack(playlist.id, dragIndex, index)
+                        setDragIndex(null)
+                      }}
+                      onDragEnd={() => setDragIndex(null)}
+                      onClick={() => track && onPlay(playlist, index)}
+                    >
+                      <span className="track-number">{String(index + 1).padStart(2, '0')}</span>
+                      <span className="playlist-track-name">
+                        {track ? track.name : ref.audioFile}
+                        <small>{track ? track.game.title : status}</small>
+                      </span>
+                      <button
+                        className="playlist-btn"
+                        onClick={(e) => { e.stopPropagation(); onRemoveTrack(playlist.id, index) }}
+                        title="Remove from playlist"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+import { MAX_CROSSFADE, MAX_LOOP_COUNT } from '../hooks/useM4APlayer'
+
+// Settings modal - shares the help modal look (help-overlay / help-modal)
+export function SettingsModal({
+  spectrumMode,
+  onSpectrumModeChange,
+  crossfade,
+  onCrossfadeChange,
+  loopMode,
+  onLoopModeChange,
+  loopCount,
+  onLoopCountChange,
+  engine,
+  onEngineChange,
+  synthSupported,
+  onClose
+}) {
+  return (
+    <div className="help-overlay" onClick={onClose}>
+      <div className="help-modal" onClick={e => e.stopPropagation()}>
+        <button className="help-close" onClick={onClose}>X</button>
+        <h2 className="help-title">SETTINGS</h2>
+
+        <div className="help-section">
+          <h3>ENGINE</h3>
+          <div className="settings-options">
+            <button
+              className={`filter-btn ${engine === 'rendered' ? 'active' : ''}`}
+              onClick={() => onEngineChange('rendered')}
+            >
+              RENDERED
+            </button>
+            <button
+              className={`filter-btn ${engine === 'synth' ? 'active' : ''}`}
+              onClick={() => onEngineChange('synth')}
+              disabled={!synthSupported}
+            >
+              SYNTH
+            </button>
+          </div>
+          <p className="settings-note">
+            {engine === 'synth'
+              ? 'VGM tracks (SN76489 / YM2612) are emulated live in the browser. Other formats use pre-rendered audio. Playback pauses when the screen locks.'
+              : 'Pre-rendered audio files for every track. Most reliable for background playback.'}
+          </p>
+        </div>
+
+        <div className="help-section">
+          <h3>SPECTRUM</h3>
+          <div className="settings-options">
+            <button
+              className={`filter-btn ${spectrumMode === 'live' ? 'active' : ''}`}
+              onClick={() => onSpectrumModeChange('live')}
+            >
+              LIVE
+            </button>
+            <button
+              className={`filter-btn ${spectrumMode === 'lite' ? 'active' : ''}`}
+              onClick={() => onSpectrumModeChange('lite')}
+            >
+              LITE
+            </button>
+          </div>
+          <p className="settings-note">
+            {spectrumMode === 'live'
+              ? 'Real frequency analysis via Web Audio. Switches to plain playback when the screen locks.'
+              : 'Plain HTML5 audio with a simulated spectrum. Most reliable for background playback.'}
+          </p>
+        </div>
+
+        <div className="help-section">
+          <h3>CROSSFADE</h3>
+          <div className="settings-options">
+            <button
+              className="filter-btn"
+              onClick={() => onCrossfadeChange(crossfade - 1)}
+              disabled={crossfade <= 0}
+            >
+              -
+            </button>
+            <span className="settings-value">{crossfade > 0 ? `${crossfade}s` : 'OFF'}</span>
+            <button
+              className="filter-btn"
+              onClick={() => onCrossfadeChange(crossfade + 1)}
+              disabled={crossfade >= MAX_CROSSFADE}
+            >
+              +
+            </button>
+          </div>
+          <p className="settings-note">
+            {crossfade > 0
+              ? 'Blends the end of each track into the next one.'
+              : 'Gapless: the next track is preloaded and starts as soon as the current one ends.'}
+          </p>
+        </div>
+
+        <div className="help-section">
+          <h3>LOOPS</h3>
+          <div className="settings-options">
+            <button
+              className={`filter-btn ${loopMode === 'count' ? 'active' : ''}`}
+              onClick={() => onLoopModeChange('count')}
+            >
+              LOOP &amp; FADE
+            </button>
+            <button
+              className={`filter-btn ${loopMode === 'forever' ? 'active' : ''}`}
+              onClick={() => onLoopModeChange('forever')}
+            >
+              FOREVER
+            </button>
+          </div>
+          {loopMode === 'count' && (
+            <div className="settings-options">
+              <button
+                className="filter-btn"
+                onClick={() => onLoopCountChange(loopCount - 1)}
+                disabled={loopCount <= 1}
+              >
+                -
+              </button>
+              <span className="settings-value">{loopCount}×</span>
+              <button
+                className="filter-btn"
+                onClick={() => onLoopCountChange(loopCount + 1)}
+                disabled={loopCount >= MAX_LOOP_COUNT}
+              >
+                +
+              </button>
+            </div>
+          )}
+          <p className="settings-note">
+            {loopMode === 'forever'
+              ? 'Looping tracks repeat until you skip. Tracks without loop points play once.'
+              : `Looping tracks play ${loopCount} time${loopCount > 1 ? 's' : ''}, then fade out. Tracks without loop points play once.`}
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
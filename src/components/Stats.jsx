@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react'
+import { getAllPlays, clearHistory, summarizePlays } from '../utils/playHistory'
+import { formatSeconds } from '../utils/tracks'
+import './Stats.css'
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  return hours > 0 ? `${hours}H ${minutes}M` : `${minutes}M`
+}
+
+const formatDate = (ms) => {
+  const date = new Date(ms)
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+}
+
+function TimeBars({ title, rows }) {
+  const max = rows[0]?.seconds || 1
+  return (
+    <div className="stats-panel">
+      <h3 className="stats-heading">{title}</h3>
+      {rows.length === 0 && <p className="stats-empty">NO DATA</p>}
+      {rows.map(row => (
+        <div key={row.label} className="stats-bar-row">
+          <span className="stats-bar-label">{row.label}</span>
+          <div className="stats-bar">
+            <div className="stats-bar-fill" style={{ width: `${(row.seconds / max) * 100}%` }} />
+          </div>
+          <span className="stats-bar-value">{formatDuration(row.seconds)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// STATS screen: listening history from IndexedDB
+export function Stats({ resumeBar, onPlayTrack, onSelectGame }) {
+  const [plays, setPlays] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getAllPlays()
+      .then(setPlays)
+      .catch(err => {
+        console.error('Failed to load play history:', err)
+        setError('HISTORY NOT AVAILABLE')
+        setPlays([])
+      })
+  }, [])
+
+  const handleClear = async () => {
+    if (!window.confirm('Clear all listening history?')) return
+    try {
+      await clearHistory()
+      setPlays([])
+    } catch (err) {
+      console.error('Failed to clear play history:', err)
+    }
+  }
+
+  if (!plays) {
+    return <p className="stats-empty">LOADING...</p>
+  }
+
+  const stats = summarizePlays(plays)
+
+  return (
+    <div className="stats-screen">
+      {resumeBar}
+
+      <div className="stats-summary">
+        <div className="stats-total">
+          <span className="stats-total-value">{formatDuration(stats.totalSeconds)}</span>
+          <span className="stats-total-label">LISTENED</span>
+        </div>
+        <div className="stats-total">
+          <span className="stats-total-value">{stats.playCount}</span>
+          <span className="stats-total-label">PLAYS</span>
+        </div>
+        <div className="stats-total">
+          <span className="stats-total-value">{stats.skipCount}</span>
+          <span className="stats-total-label">SKIPPED</span>
+        </div>
+      </div>
+
+      {error && <p className="stats-empty">{error}</p>}
+
+      <div className="stats-panel">
+        <h3 className="stats-heading">RECENTLY PLAYED</h3>
+        {stats.recent.length === 0 && <p className="stats-empty">NOTHING PLAYED YET</p>}
+        {stats.recent.map(play => (
+          <button
+            key={play.id}
+            className="stats-row"
+            onClick={() => onPlayTrack(play.gameId, play.trackPath)}
+          >
+            <span className="stats-row-name">
+              {play.trackName}
+              <small>{play.gameTitle}</small>
+            </span>
+            <span className="stats-row-meta">
+              {play.skipped ? 'SKIPPED · ' : ''}{formatSeconds(play.listenedSeconds)}
+              <small>{formatDate(play.startedAt)}</small>
+            </span>
+          </button>
+        ))}
+      </div>
+
+      <div className="stats-panel">
+        <h3 className="stats-heading">MOST PLAYED TRACKS</h3>
+        {stats.topTracks.length === 0 && <p className="stats-empty">NO DATA</p>}
+        {stats.topTracks.map((entry, index) => (
+          <button
+            key={entry.key}
+            className="stats-row"
+            onClick={() => onPlayTrack(entry.sample.gameId, entry.sample.trackPath)}
+          >
+            <span className="stats-rank">{String(index + 1).padStart(2, '0')}</span>
+            <span className="stats-row-name">
+              {entry.label}
+              <small>{entry.sample.gameTitle}</small>
+            </span>
+            <span className="stats-row-meta">{entry.count}×</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="stats-panel">
+        <h3 className="stats-heading">MOST PLAYED GAMES</h3>
+        {stats.topGames.length === 0 && <p className="stats-empty">NO DATA</p>}
+        {stats.topGames.map((entry, index) => (
+          <button
+            key={entry.key}
+            className="stats-row"
+            onClick={() => onSelectGame(entry.key)}
+          >
+            <span className="stats-rank">{String(index + 1).padStart(2, '0')}</span>
+            <span className="stats-row-name">
+              {entry.label}
+              <small>{entry.sample.system}</small>
+            </span>
+            <span className="stats-row-meta">{entry.count}×</span>
+          </button>
+        ))}
+      </div>
+
+      <TimeBars title="LISTENING TIME BY SYSTEM" rows={stats.timeBySystem} />
+      <TimeBars title="LISTENING TIME BY COMPOSER" rows={stats.timeByComposer.slice(0, 10)} />
+
+      {plays.length > 0 && (
+        <div className="stats-actions">
+          <button className="filter-btn" onClick={handleClear}>CLEAR HISTORY</button>
+        </div>
+      )}
+    </div>
+  )
+}
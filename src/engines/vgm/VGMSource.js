@@ -0,0 +1,217 @@
+// Element-like wrapper around the VGM worklet. Implements the slice of the
+// HTMLAudioElement API useM4APlayer relies on (play/pause, currentTime,
+// duration, volume, on* handlers, load/removeAttribute('src') for release),
+// so synthesized tracks go through the same queue/crossfade/loop logic.
+import pako from 'pako'
+import workletUrl from './vgmWorklet.js?worker&url'
+import { parseVGMHeader, getVGMTiming, isGzip } from './vgmFile'
+
+const TIMEUPDATE_INTERVAL = 250
+const LOOP_SHIFT_TOLERANCE = 0.05 // seconds
+
+// addModule once per AudioContext
+const workletModules = new WeakMap()
+const loadWorklet = (context) => {
+  if (!workletModules.has(context)) {
+    workletModules.set(context, context.audioWorklet.addModule(workletUrl))
+  }
+  return workletModules.get(context)
+}
+
+export const isVGMSynthSupported = () =>
+  typeof window !== 'undefined' && 'AudioWorkletNode' in window
+
+export class VGMSource {
+  // output: { context, destination } - the shared AudioContext and the node to feed
+  // channelMask: voices to silence, see channels.js
+  constructor(src, output, { loops = 2, fade = 5, channelMask = 0 } = {}) {
+    this.src = src
+    this.preload = 'auto'
+    this.paused = true
+    this.readyState = 0
+    this.duration = NaN
+    this.ontimeupdate = null
+    this.onloadedmetadata = null
+    this.onended = null
+    this.onplay = null
+    this.onpause = null
+    this.onchannels = null
+    this.context = output.context
+    this.destination = output.destination
+    this.options = { loops, fade }
+    this.channelMask = channelMask
+    this.channels = null // latest { levels, frequencies } from the worklet
+    this.listeners = {}
+    this.node = null
+    this.gain = null
+    this.volumeValue = 1
+    this.timing = null
+    this.reportedTime = 0
+    this.reportedAt = 0
+    this.timer = null
+    this.released = false
+    this.ready = this.init()
+    this.ready.catch(err => {
+      console.error('VGM engine failed to load track:', err)
+      this.emit('error')
+    })
+  }
+
+  async init() {
+    const [response] = await Promise.all([fetch(this.src), loadWorklet(this.context)])
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${this.src}`)
+    let bytes = new Uint8Array(await response.arrayBuffer())
+    if (isGzip(bytes)) bytes = pako.inflate(bytes)
+    const header = parseVGMHeader(bytes)
+    if (!header) throw new Error(`Not a VGM file: ${this.src}`)
+    if (this.released) return
+
+    this.timing = getVGMTiming(header, this.options.loops, this.options.fade)
+    this.duration = this.timing.duration
+
+    this.node = new window.AudioWorkletNode(this.context, 'vgm-processor', {
+      numberOfInputs: 0,
+      outputChannelCount: [2]
+    })
+    this.gain = this.context.createGain()
+    this.gain.gain.value = this.volumeValue
+    this.node.connect(this.gain)
+    this.gain.connect(this.destination)
+    this.node.port.onmessage = (e) => this.handleMessage(e.data)
+    this.node.port.postMessage({ type: 'mask', mask: this.channelMask })
+    this.node.port.postMessage({ type: 'load', data: bytes.buffer, options: this.options }, [bytes.buffer])
+
+    // Apply a position requested before the engine was ready
+    if (this.reportedTime > 0) this.node.port.postMessage({ type: 'seek', time: this.reportedTime })
+
+    this.readyState = 1
+    this.emit('loadedmetadata')
+  }
+
+  handleMessage(message) {
+    if (message.type === 'time') {
+      this.reportedTime = message.time
+      this.reportedAt = message.contextTime
+    } else if (message.type === 'channels') {
+      this.channels = { levels: message.levels, frequencies: message.frequencies }
+      this.emit('channels')
+    } else if (message.type === 'ended') {
+      this.stopTimer()
+      this.emit('timeupdate')
+      this.paused = true
+      this.emit('pause')
+      this.emit('ended')
+    } else if (message.type === 'error') {
+      console.error('VGM engine error:', message.message)
+      this.emit('error')
+    }
+  }
+
+  emit(type) {
+    const handler = this[`on${type}`]
+    if (handler) handler.call(this, { type, target: this })
+    const listeners = this.listeners[type] || []
+    this.listeners[type] = listeners.filter(l => !l.once)
+    listeners.forEach(l => l.fn.call(this, { type, target: this }))
+  }
+
+  addEventListener(type, fn, options = {}) {
+    this.listeners[type] = [...(this.listeners[type] || []), { fn, once: !!options.once }]
+  }
+
+  removeEventListener(type, fn) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l.fn !== fn)
+  }
+
+  get currentTime() {
+    // Extrapolate from the last worklet report while playing
+    const drift = this.paused ? 0 : Math.max(0, this.context.currentTime - this.reportedAt)
+    const time = this.reportedTime + drift
+    return isFinite(this.duration) ? Math.min(time, this.duration) : time
+  }
+
+  set currentTime(time) {
+    const current = this.currentTime
+    this.reportedTime = time
+    this.reportedAt = this.context.currentTime
+    if (!this.node) return
+
+    // Whole-loop jumps (loop count settings) keep the chips running untouched
+    const loopLength = this.timing?.loopLength
+    if (loopLength && time >= this.timing.introLength && current >= this.timing.introLength) {
+      const loops = Math.round((time - current) / loopLength)
+      if (loops !== 0 && Math.abs(time - current - loops * loopLength) < LOOP_SHIFT_TOLERANCE) {
+        this.node.port.postMessage({ type: 'shiftLoops', count: loops })
+        return
+      }
+    }
+    this.node.port.postMessage({ type: 'seek', time })
+  }
+
+  setChannelMask(mask) {
+    this.channelMask = mask
+    if (this.node) this.node.port.postMessage({ type: 'mask', mask })
+  }
+
+  get volume() {
+    return this.volumeValue
+  }
+
+  set volume(value) {
+    this.volumeValue = value
+    if (this.gain) this.gain.gain.value = value
+  }
+
+  startTimer() {
+    this.stopTimer()
+    this.timer = setInterval(() => this.emit('timeupdate'), TIMEUPDATE_INTERVAL)
+  }
+
+  stopTimer() {
+    if (this.timer) clearInterval(this.timer)
+    this.timer = null
+  }
+
+  play() {
+    if (this.released) return Promise.reject(new Error('Track was released'))
+    if (this.paused) {
+      this.paused = false
+      this.emit('play')
+    }
+    return this.ready.then(() => {
+      if (this.paused || this.released) return
+      if (this.context.state === 'suspended') this.context.resume().catch(() => {})
+      this.reportedAt = this.context.currentTime
+      this.node.port.postMessage({ type: 'play' })
+      this.startTimer()
+    })
+  }
+
+  pause() {
+    if (this.paused) return
+    // Freeze the extrapolated position until the worklet reports back
+    this.reportedTime = this.currentTime
+    this.paused = true
+    this.stopTimer()
+    if (this.node) this.node.port.postMessage({ type: 'pause' })
+    this.emit('pause')
+  }
+
+  removeAttribute(name) {
+    if (name === 'src') this.released = true
+  }
+
+  // Mirrors HTMLMediaElement.load(): after removeAttribute('src') it releases
+  // the worklet node; otherwise loading already started in the constructor
+  load() {
+    if (!this.released) return
+    this.stopTimer()
+    if (this.node) {
+      this.node.port.postMessage({ type: 'dispose' })
+      this.node.disconnect()
+      this.gain.disconnect()
+      this.node = null
+    }
+    this.emit('emptied')
+  }
+}
@@ -0,0 +1,27 @@
+// Voices exposed for mute/solo and the channel visualizer. The array index is
+// the voice's bit in a channel mask (set bit = muted).
+export const VGM_CHANNELS = [
+  { id: 'fm1', label: 'FM1', chip: 'ym2612', kind: 'fm' },
+  { id: 'fm2', label: 'FM2', chip: 'ym2612', kind: 'fm' },
+  { id: 'fm3', label: 'FM3', chip: 'ym2612', kind: 'fm' },
+  { id: 'fm4', label: 'FM4', chip: 'ym2612', kind: 'fm' },
+  { id: 'fm5', label: 'FM5', chip: 'ym2612', kind: 'fm' },
+  { id: 'fm6', label: 'FM6', chip: 'ym2612', kind: 'fm' },
+  { id: 'psg1', label: 'PSG1', chip: 'sn76489', kind: 'psg' },
+  { id: 'psg2', label: 'PSG2', chip: 'sn76489', kind: 'psg' },
+  { id: 'psg3', label: 'PSG3', chip: 'sn76489', kind: 'psg' },
+  { id: 'noise', label: 'NOISE', chip: 'sn76489', kind: 'noise' }
+]
+
+export const YM2612_CHANNEL_BASE = 0
+export const SN76489_CHANNEL_BASE = 6
+
+// Channel mask from muted / soloed channel ids; any solo overrides mutes
+export const buildChannelMask = (muted, soloed) => {
+  let mask = 0
+  VGM_CHANNELS.forEach((channel, bit) => {
+    const silent = soloed.length > 0 ? !soloed.includes(channel.id) : muted.includes(channel.id)
+    if (silent) mask |= 1 << bit
+  })
+  return mask
+}
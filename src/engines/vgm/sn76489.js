@@ -0,0 +1,127 @@
+// SN76489 PSG (Master System / Mega Drive / Game Gear): three square-wave
+// tone channels and one LFSR noise channel, 2dB volume steps.
+
+const VOLUME_TABLE = Array.from({ length: 16 }, (_, i) => (i === 15 ? 0 : Math.pow(10, (-2 * i) / 20)))
+const CHANNEL_GAIN = 0.25
+
+export class SN76489 {
+  constructor(clock, sampleRate, feedback = 0x0009, shiftWidth = 16) {
+    this.clock = clock
+    this.ticksPerSample = clock / 16 / sampleRate
+    this.feedback = feedback
+    this.shiftWidth = shiftWidth
+    this.muted = 0 // bit per channel; survives reset
+    this.peaks = new Float32Array(4)
+    this.reset()
+  }
+
+  reset() {
+    this.periods = [0, 0, 0, 0] // tone 0-2 (10-bit), noise (derived)
+    this.volumes = [15, 15, 15, 15]
+    this.counters = [0, 0, 0, 0]
+    this.outputs = [1, 1, 1, 1]
+    this.noiseMode = 0
+    this.lfsr = 1 << (this.shiftWidth - 1)
+    this.latch = 0
+    this.stereo = 0xFF // Game Gear: high nibble left, low nibble right (bit per channel)
+    this.tickAcc = 0
+  }
+
+  write(data) {
+    if (data & 0x80) {
+      this.latch = (data >> 4) & 7
+      this.writeLatched(data & 0x0F, false)
+    } else {
+      this.writeLatched(data & 0x3F, true)
+    }
+  }
+
+  writeLatched(value, isDataByte) {
+    const channel = this.latch >> 1
+    if (this.latch & 1) {
+      this.volumes[channel] = value & 0x0F
+    } else if (channel < 3) {
+      this.periods[channel] = isDataByte
+        ? (this.periods[channel] & 0x0F) | ((value & 0x3F) << 4)
+        : (this.periods[channel] & 0x3F0) | (value & 0x0F)
+    } else {
+      this.noiseMode = value & 7
+      this.lfsr = 1 << (this.shiftWidth - 1)
+    }
+  }
+
+  writeStereo(data) {
+    this.stereo = data
+  }
+
+  noisePeriod() {
+    const rate = this.noiseMode & 3
+    return rate === 3 ? this.periods[2] : 0x10 << rate
+  }
+
+  tick() {
+    for (let ch = 0; ch < 3; ch++) {
+      if (--this.counters[ch] <= 0) {
+        this.counters[ch] = this.periods[ch]
+        // Periods 0/1 hold the output high (used for sample playback via volume)
+        this.outputs[ch] = this.periods[ch] <= 1 ? 1 : -this.outputs[ch]
+      }
+    }
+    if (--this.counters[3] <= 0) {
+      this.counters[3] = this.noisePeriod() || 1
+      this.outputs[3] = -this.outputs[3]
+      // The shift register clocks on each rising edge
+      if (this.outputs[3] > 0) {
+        let bit
+        if (this.noiseMode & 4) {
+          let tapped = this.lfsr & this.feedback
+          tapped ^= tapped >> 8
+          tapped ^= tapped >> 4
+          tapped ^= tapped >> 2
+          tapped ^= tapped >> 1
+          bit = tapped & 1
+        } else {
+          bit = this.lfsr & 1
+        }
+        this.lfsr = (this.lfsr >> 1) | (bit << (this.shiftWidth - 1))
+      }
+    }
+  }
+
+  // Tone frequency in Hz, or 0 when silent; the noise channel has no pitch
+  channelFrequency(ch) {
+    if (ch === 3 || this.volumes[ch] === 15 || this.periods[ch] <= 1) return 0
+    return this.clock / (32 * this.periods[ch])
+  }
+
+  channelLevel(ch) {
+    const state = ch === 3 ? ((this.lfsr & 1) ? 1 : -1) : this.outputs[ch]
+    return state * VOLUME_TABLE[this.volumes[ch]] * CHANNEL_GAIN
+  }
+
+  // Adds one output sample into out[0] (left) / out[1] (right); the chip runs
+  // several ticks per sample, which are averaged.
+  render(out) {
+    this.tickAcc += this.ticksPerSample
+    let left = 0
+    let right = 0
+    let ticks = 0
+    while (this.tickAcc >= 1) {
+      this.tickAcc -= 1
+      this.tick()
+      ticks += 1
+      for (let ch = 0; ch < 4; ch++) {
+        const level = this.channelLevel(ch)
+        const peak = Math.abs(level) / CHANNEL_GAIN
+        if (peak > this.peaks[ch]) this.peaks[ch] = peak
+        if (this.muted & (1 << ch)) continue
+        if (this.stereo & (0x10 << ch)) left += level
+        if (this.stereo & (1 << ch)) right += level
+      }
+    }
+    if (ticks > 0) {
+      out[0] += left / ticks
+      out[1] += right / ticks
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// VGM file helpers shared by the main thread and the synthesis worklet
+// Reference: https://vgmrips.net/wiki/VGM_Specification
+
+export const VGM_SAMPLE_RATE = 44100
+
+const readUint32 = (bytes, offset) =>
+  offset + 4 <= bytes.length
+    ? (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0
+    : 0
+
+export const isGzip = (bytes) => bytes[0] === 0x1f && bytes[1] === 0x8b
+
+// Returns null when `bytes` is not a VGM file
+export const parseVGMHeader = (bytes) => {
+  if (bytes.length < 0x40 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== 'Vgm ') {
+    return null
+  }
+  const version = readUint32(bytes, 0x08)
+  const dataOffset = version >= 0x150 && readUint32(bytes, 0x34)
+    ? 0x34 + readUint32(bytes, 0x34)
+    : 0x40
+  // Header fields past the data offset belong to the command stream
+  const field = (offset) => (offset + 4 <= dataOffset ? readUint32(bytes, offset) : 0)
+
+  const loopOffset = readUint32(bytes, 0x1C)
+  const snClock = readUint32(bytes, 0x0C) & 0x3FFFFFFF
+  // Before 1.10 the YM2413 clock field doubled as the YM2612 clock
+  const ym2612Clock = (version >= 0x110 ? field(0x2C) : 0) & 0x3FFFFFFF
+
+  return {
+    version,
+    dataOffset,
+    totalSamples: readUint32(bytes, 0x18),
+    loopOffset: loopOffset ? 0x1C + loopOffset : 0,
+    loopSamples: loopOffset ? readUint32(bytes, 0x20) : 0,
+    snClock,
+    snFeedback: (version >= 0x110 && (bytes[0x28] | (bytes[0x29] << 8))) || 0x0009,
+    snShiftWidth: (version >= 0x110 && bytes[0x2A]) || 16,
+    ym2612Clock,
+    // Any other chip in use means this engine can't play the file faithfully
+    hasOtherChips: (version < 0x110 && readUint32(bytes, 0x10) !== 0) ||
+      [0x10, 0x30, 0x38, 0x40, 0x44, 0x48, 0x4C, 0x50, 0x54, 0x58, 0x5C, 0x60, 0x64, 0x68, 0x6C,
+        0x70, 0x74, 0x80, 0x84, 0x88, 0x8C, 0x90, 0x98, 0x9C, 0xA0, 0xA4, 0xA8, 0xAC, 0xB0, 0xB4]
+        .some(offset => version >= 0x110 && field(offset) !== 0)
+  }
+}
+
+// Playback timeline of a file rendered with `loops` loops and a `fade` (seconds),
+// matching how the manifest describes pre-rendered tracks
+export const getVGMTiming = (header, loops, fade) => {
+  const total = header.totalSamples / VGM_SAMPLE_RATE
+  if (!header.loopOffset || !header.loopSamples) {
+    return { duration: total, introLength: total, loopLength: 0 }
+  }
+  const loopLength = header.loopSamples / VGM_SAMPLE_RATE
+  const introLength = total - loopLength
+  return { duration: introLength + loopLength * loops + fade, introLength, loopLength }
+}
@@ -0,0 +1,335 @@
+// VGM command interpreter: drives the chip emulators from the command stream
+// and renders stereo output. Runs inside the AudioWorklet (no DOM access).
+import { parseVGMHeader, getVGMTiming, VGM_SAMPLE_RATE } from './vgmFile'
+import { SN76489 } from './sn76489'
+import { YM2612 } from './ym2612'
+import { VGM_CHANNELS, YM2612_CHANNEL_BASE, SN76489_CHANNEL_BASE } from './channels'
+
+const STREAM_CHIP_YM2612 = 0x02
+
+// Byte length of a command including its opcode
+const commandLength = (bytes, pos) => {
+  const cmd = bytes[pos]
+  if (cmd === 0x67) {
+    const size = (bytes[pos + 3] | (bytes[pos + 4] << 8) | (bytes[pos + 5] << 16) | (bytes[pos + 6] << 24)) >>> 0
+    return 7 + (size & 0x7FFFFFFF)
+  }
+  if (cmd === 0x68) return 12
+  if (cmd >= 0x30 && cmd <= 0x3F) return 2
+  if (cmd === 0x4F || cmd === 0x50) return 2
+  if (cmd >= 0x40 && cmd <= 0x5F) return 3
+  if (cmd === 0x61) return 3
+  if (cmd >= 0x62 && cmd <= 0x66) return 1
+  if (cmd >= 0x70 && cmd <= 0x8F) return 1
+  if (cmd === 0x90 || cmd === 0x91) return 5
+  if (cmd === 0x92) return 6
+  if (cmd === 0x93) return 11
+  if (cmd === 0x94) return 2
+  if (cmd === 0x95) return 5
+  if (cmd >= 0xA0 && cmd <= 0xBF) return 3
+  if (cmd >= 0xC0 && cmd <= 0xDF) return 4
+  if (cmd >= 0xE0) return 5
+  return 1
+}
+
+const readUint32 = (bytes, pos) =>
+  (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0
+
+export class VGMRenderer {
+  // `loops` loops are played before a `fade` (seconds) ends the track, like
+  // the pre-rendered files; the player extends or cuts that via seek/shiftLoops
+  constructor(bytes, sampleRate, { loops = 2, fade = 5 } = {}) {
+    this.bytes = bytes
+    this.header = parseVGMHeader(bytes)
+    if (!this.header) throw new Error('Not a VGM file')
+    this.sampleRate = sampleRate
+    this.vgmPerFrame = VGM_SAMPLE_RATE / sampleRate
+
+    const timing = getVGMTiming(this.header, loops, fade)
+    this.looped = timing.loopLength > 0
+    this.fadeStart = (timing.introLength + timing.loopLength * loops) * VGM_SAMPLE_RATE
+    this.fadeSamples = fade * VGM_SAMPLE_RATE
+    this.introSamples = timing.introLength * VGM_SAMPLE_RATE
+
+    this.sn = this.header.snClock
+      ? new SN76489(this.header.snClock, sampleRate, this.header.snFeedback, this.header.snShiftWidth)
+      : null
+    this.ym = this.header.ym2612Clock ? new YM2612(this.header.ym2612Clock) : null
+    this.ymStep = this.ym ? this.ym.rate / sampleRate : 0
+
+    this.collectDataBlocks()
+    this.reset()
+  }
+
+  // YM2612 PCM data blocks (type 0x00) form one bank addressed by 0xE0 / 0x8n
+  // and by DAC streams; gather them up front
+  collectDataBlocks() {
+    const chunks = []
+    this.blocks = []
+    let size = 0
+    let pos = this.header.dataOffset
+    while (pos < this.bytes.length && this.bytes[pos] !== 0x66) {
+      if (this.bytes[pos] === 0x67 && this.bytes[pos + 2] === 0x00) {
+        const length = readUint32(this.bytes, pos + 3) & 0x7FFFFFFF
+        chunks.push(this.bytes.subarray(pos + 7, pos + 7 + length))
+        this.blocks.push({ start: size, length })
+        size += length
+      }
+      pos += commandLength(this.bytes, pos)
+    }
+    this.pcm = new Uint8Array(size)
+    let offset = 0
+    for (const chunk of chunks) {
+      this.pcm.set(chunk, offset)
+      offset += chunk.length
+    }
+  }
+
+  reset() {
+    this.pos = this.header.dataOffset
+    this.wait = 0
+    this.position = 0 // samples (44.1kHz) on the playback timeline
+    this.pcmOffset = 0
+    this.ended = false
+    this.streams = new Map()
+    this.ymFrame = [0, 0]
+    this.ymPrev = [0, 0]
+    this.ymPhase = 0
+    this.frame = [0, 0]
+    if (this.sn) this.sn.reset()
+    if (this.ym) this.ym.reset()
+  }
+
+  get time() {
+    return this.position / VGM_SAMPLE_RATE
+  }
+
+  getStream(id) {
+    if (!this.streams.has(id)) {
+      this.streams.set(id, { chip: 0, port: 0, command: 0, frequency: 0, offset: 0, remaining: 0, loop: false, start: 0, length: 0, phase: 0, active: false })
+    }
+    return this.streams.get(id)
+  }
+
+  startStream(stream, start, length, loop) {
+    stream.start = start
+    stream.length = length
+    stream.offset = start
+    stream.remaining = length
+    stream.loop = loop
+    stream.phase = 0
+    stream.active = length > 0
+  }
+
+  // Execute one command; returns the samples (44.1kHz) to wait afterwards
+  step() {
+    const bytes = this.bytes
+    const pos = this.pos
+    if (pos >= bytes.length) {
+      this.ended = true
+      return 0
+    }
+    const cmd = bytes[pos]
+    this.pos += commandLength(bytes, pos)
+
+    switch (cmd) {
+      case 0x4F:
+        if (this.sn) this.sn.writeStereo(bytes[pos + 1])
+        return 0
+      case 0x50:
+        if (this.sn) this.sn.write(bytes[pos + 1])
+        return 0
+      case 0x52:
+      case 0x53:
+        if (this.ym) this.ym.write(cmd - 0x52, bytes[pos + 1], bytes[pos + 2])
+        return 0
+      case 0x61:
+        return bytes[pos + 1] | (bytes[pos + 2] << 8)
+      case 0x62:
+        return 735
+      case 0x63:
+        return 882
+      case 0x66:
+        if (this.looped) {
+          this.pos = this.header.loopOffset
+        } else {
+          this.ended = true
+        }
+        return 0
+      case 0xE0:
+        this.pcmOffset = readUint32(bytes, pos + 1)
+        return 0
+      case 0x90: {
+        const stream = this.getStream(bytes[pos + 1])
+        stream.chip = bytes[pos + 2] & 0x7F
+        stream.port = bytes[pos + 3]
+        stream.command = bytes[pos + 4]
+        return 0
+      }
+      case 0x92:
+        this.getStream(bytes[pos + 1]).frequency = readUint32(bytes, pos + 2)
+        return 0
+      case 0x93: {
+        const stream = this.getStream(bytes[pos + 1])
+        const start = readUint32(bytes, pos + 2)
+        const mode = bytes[pos + 6]
+        const length = readUint32(bytes, pos + 7)
+        let count = length
+        if ((mode & 0x0F) === 0x02) count = Math.round((length * stream.frequency) / 1000)
+        if ((mode & 0x0F) === 0x03) count = this.pcm.length - start
+        if ((mode & 0x0F) === 0x00) count = stream.length
+        this.startStream(stream, start === 0xFFFFFFFF ? stream.offset : start, count, (mode & 0x80) !== 0)
+        return 0
+      }
+      case 0x94: {
+        const id = bytes[pos + 1]
+        if (id === 0xFF) this.streams.forEach(s => { s.active = false })
+        else this.getStream(id).active = false
+        return 0
+      }
+      case 0x95: {
+        const stream = this.getStream(bytes[pos + 1])
+        const block = this.blocks[bytes[pos + 2] | (bytes[pos + 3] << 8)]
+        if (block) this.startStream(stream, block.start, block.length, (bytes[pos + 4] & 0x01) !== 0)
+        return 0
+      }
+      default:
+        break
+    }
+
+    if (cmd >= 0x70 && cmd <= 0x7F) return (cmd & 0x0F) + 1
+    if (cmd >= 0x80 && cmd <= 0x8F) {
+      if (this.ym && this.pcmOffset < this.pcm.length) this.ym.write(0, 0x2A, this.pcm[this.pcmOffset])
+      this.pcmOffset += 1
+      return cmd & 0x0F
+    }
+    // Data blocks were collected up front; other chips are ignored
+    return 0
+  }
+
+  // Feed DAC streams for one output frame
+  updateStreams() {
+    this.streams.forEach(stream => {
+      if (!stream.active || stream.chip !== STREAM_CHIP_YM2612 || !this.ym) return
+      stream.phase += stream.frequency / this.sampleRate
+      while (stream.phase >= 1 && stream.active) {
+        stream.phase -= 1
+        if (stream.offset < this.pcm.length) {
+          this.ym.write(stream.port, stream.command, this.pcm[stream.offset])
+        }
+        stream.offset += 1
+        if (--stream.remaining <= 0) {
+          if (stream.loop) {
+            stream.offset = stream.start
+            stream.remaining = stream.length
+          } else {
+            stream.active = false
+          }
+        }
+      }
+    })
+  }
+
+  // YM2612 runs at its own rate; interpolate its output to the output rate
+  renderYM(frame) {
+    this.ymPhase += this.ymStep
+    while (this.ymPhase >= 1) {
+      this.ymPhase -= 1
+      this.ymPrev[0] = this.ymFrame[0]
+      this.ymPrev[1] = this.ymFrame[1]
+      this.ymFrame[0] = 0
+      this.ymFrame[1] = 0
+      this.ym.render(this.ymFrame)
+    }
+    const t = this.ymPhase
+    frame[0] += this.ymPrev[0] + (this.ymFrame[0] - this.ymPrev[0]) * t
+    frame[1] += this.ymPrev[1] + (this.ymFrame[1] - this.ymPrev[1]) * t
+  }
+
+  // Render into two Float32Arrays; returns false once the track has ended
+  render(left, right) {
+    const frame = this.frame
+    for (let i = 0; i < left.length; i++) {
+      if (this.ended) {
+        left[i] = 0
+        right[i] = 0
+        continue
+      }
+      while (this.wait <= 0 && !this.ended) this.wait += this.step()
+      this.wait -= this.vgmPerFrame
+      this.position += this.vgmPerFrame
+
+      frame[0] = 0
+      frame[1] = 0
+      if (this.streams.size > 0) this.updateStreams()
+      if (this.sn) this.sn.render(frame)
+      if (this.ym) this.renderYM(frame)
+
+      let gain = 1
+      if (this.looped && this.position >= this.fadeStart) {
+        gain = 1 - (this.position - this.fadeStart) / this.fadeSamples
+        if (gain <= 0) {
+          this.ended = true
+          gain = 0
+        }
+      }
+      left[i] = Math.max(-1, Math.min(1, frame[0] * gain))
+      right[i] = Math.max(-1, Math.min(1, frame[1] * gain))
+    }
+    return !this.ended
+  }
+
+  // Silence voices by VGM_CHANNELS bit (see channels.js)
+  setChannelMask(mask) {
+    if (this.sn) this.sn.muted = (mask >> SN76489_CHANNEL_BASE) & 0x0F
+    if (this.ym) this.ym.muted = (mask >> YM2612_CHANNEL_BASE) & 0x3F
+  }
+
+  // Peak level (0-1) and pitch (Hz, 0 = none) per VGM_CHANNELS entry since the
+  // previous call; muted voices still report so the visualizer shows them
+  readChannels() {
+    const levels = new Array(VGM_CHANNELS.length).fill(0)
+    const frequencies = new Array(VGM_CHANNELS.length).fill(0)
+    if (this.ym) {
+      for (let c = 0; c < 6; c++) {
+        levels[YM2612_CHANNEL_BASE + c] = this.ym.peaks[c]
+        frequencies[YM2612_CHANNEL_BASE + c] = this.ym.channelFrequency(c)
+      }
+      this.ym.peaks.fill(0)
+    }
+    if (this.sn) {
+      for (let c = 0; c < 4; c++) {
+        levels[SN76489_CHANNEL_BASE + c] = this.sn.peaks[c]
+        frequencies[SN76489_CHANNEL_BASE + c] = this.sn.channelFrequency(c)
+      }
+      this.sn.peaks.fill(0)
+    }
+    return { levels, frequencies }
+  }
+
+  // Jump to `seconds` on the playback timeline. Loops map back onto the loop
+  // section; chip state is rebuilt by replaying register writes without audio.
+  seek(seconds) {
+    const target = Math.max(0, seconds * VGM_SAMPLE_RATE)
+    let streamTarget = target
+    if (this.looped && target >= this.introSamples + this.header.loopSamples) {
+      streamTarget = this.introSamples + ((target - this.introSamples) % this.header.loopSamples)
+    }
+    this.reset()
+    let elapsed = 0
+    while (!this.ended && elapsed + this.wait < streamTarget) {
+      elapsed += this.wait
+      this.wait = this.step()
+    }
+    this.wait -= streamTarget - elapsed
+    this.position = target
+    if (this.looped && target >= this.fadeStart + this.fadeSamples) this.ended = true
+  }
+
+  // Move the timeline by whole loops without touching the chips: the audio at
+  // the new position is the same loop content that is playing now
+  shiftLoops(count) {
+    if (!this.looped) return
+    this.position = Math.max(this.introSamples, this.position + count * this.header.loopSamples)
+  }
+}
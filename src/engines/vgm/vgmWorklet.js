@@ -0,0 +1,86 @@
+// AudioWorklet processor hosting one VGMRenderer. Bundled separately and
+// loaded with audioWorklet.addModule (see VGMSource).
+import { VGMRenderer } from './vgmRenderer'
+
+const REPORT_INTERVAL = 0.1 // seconds between position reports
+const CHANNEL_INTERVAL = 1 / 30 // seconds between channel level reports
+
+class VGMProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super()
+    this.renderer = null
+    this.playing = false
+    this.disposed = false
+    this.lastReport = 0
+    this.lastChannels = 0
+    this.channelMask = 0
+    this.port.onmessage = (e) => this.handleMessage(e.data)
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'load':
+        try {
+          this.renderer = new VGMRenderer(new Uint8Array(message.data), sampleRate, message.options)
+          this.renderer.setChannelMask(this.channelMask)
+        } catch (err) {
+          this.port.postMessage({ type: 'error', message: err.message })
+        }
+        break
+      case 'play':
+        this.playing = true
+        break
+      case 'pause':
+        this.playing = false
+        this.report()
+        break
+      case 'seek':
+        if (this.renderer) this.renderer.seek(message.time)
+        this.report()
+        break
+      case 'shiftLoops':
+        if (this.renderer) this.renderer.shiftLoops(message.count)
+        this.report()
+        break
+      case 'mask':
+        this.channelMask = message.mask
+        if (this.renderer) this.renderer.setChannelMask(message.mask)
+        break
+      case 'dispose':
+        this.disposed = true
+        this.renderer = null
+        break
+      default:
+        break
+    }
+  }
+
+  report() {
+    if (!this.renderer) return
+    this.lastReport = currentTime
+    this.port.postMessage({ type: 'time', time: this.renderer.time, contextTime: currentTime })
+  }
+
+  process(inputs, outputs) {
+    if (this.disposed) return false
+    const output = outputs[0]
+    if (!this.playing || !this.renderer) return true
+
+    const left = output[0]
+    const right = output[1] || output[0]
+    const running = this.renderer.render(left, right)
+    if (currentTime - this.lastReport >= REPORT_INTERVAL) this.report()
+    if (currentTime - this.lastChannels >= CHANNEL_INTERVAL) {
+      this.lastChannels = currentTime
+      this.port.postMessage({ type: 'channels', ...this.renderer.readChannels() })
+    }
+    if (!running) {
+      this.playing = false
+      this.report()
+      this.port.postMessage({ type: 'ended' })
+    }
+    return true
+  }
+}
+
+registerProcessor('vgm-processor', VGMProcessor)
@@ -0,0 +1,363 @@
+// YM2612 (OPN2, Mega Drive FM): six 4-operator FM channels, channel 6 can be
+// replaced by the 8-bit DAC. Runs at the chip's own rate (clock / 144); the
+// envelope generator follows the hardware rate tables, operator math is float.
+
+const SINE_SIZE = 4096
+const SINE = new Float32Array(SINE_SIZE)
+for (let i = 0; i < SINE_SIZE; i++) SINE[i] = Math.sin((2 * Math.PI * i) / SINE_SIZE)
+
+// Attenuation is 10 bits of 0.09375dB (96dB range)
+const MAX_ATT = 1023
+const ATT_GAIN = new Float32Array(MAX_ATT + 1)
+for (let i = 0; i <= MAX_ATT; i++) ATT_GAIN[i] = i === MAX_ATT ? 0 : Math.pow(10, (-i * 0.09375) / 20)
+
+const EG_ATTACK = 0
+const EG_DECAY = 1
+const EG_SUSTAIN = 2
+const EG_RELEASE = 3
+
+// Envelope increments per 8-step cycle (MAME fm.c eg_inc)
+const EG_INC = [
+  [0, 1, 0, 1, 0, 1, 0, 1], [0, 1, 0, 1, 1, 1, 0, 1], [0, 1, 1, 1, 0, 1, 1, 1], [0, 1, 1, 1, 1, 1, 1, 1],
+  [1, 1, 1, 1, 1, 1, 1, 1], [1, 1, 1, 2, 1, 1, 1, 2], [1, 2, 1, 2, 1, 2, 1, 2], [1, 2, 2, 2, 1, 2, 2, 2],
+  [2, 2, 2, 2, 2, 2, 2, 2], [2, 2, 2, 4, 2, 2, 2, 4], [2, 4, 2, 4, 2, 4, 2, 4], [2, 4, 4, 4, 2, 4, 4, 4],
+  [4, 4, 4, 4, 4, 4, 4, 4], [4, 4, 4, 8, 4, 4, 4, 8], [4, 8, 4, 8, 4, 8, 4, 8], [4, 8, 8, 8, 4, 8, 8, 8],
+  [8, 8, 8, 8, 8, 8, 8, 8], [16, 16, 16, 16, 16, 16, 16, 16], [0, 0, 0, 0, 0, 0, 0, 0]
+]
+
+const egRow = (rate) => {
+  if (rate < 4) return rate < 2 ? 18 : 0
+  if (rate < 8) return rate < 6 ? 0 : 2
+  if (rate < 48) return rate & 3
+  if (rate < 60) return 4 + (((rate - 48) >> 2) << 2) + (rate & 3)
+  return 16
+}
+const egShift = (rate) => (rate < 48 ? 11 - (rate >> 2) : 0)
+
+// Detune in frequency-number units, by DT (0-3) and key code (0-31)
+const DETUNE = [
+  new Array(32).fill(0),
+  [0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 3, 3, 3, 4, 4, 4, 5, 5, 6, 6, 7, 8, 8, 8, 8],
+  [1, 1, 1, 1, 2, 2, 2, 2, 2, 3, 3, 3, 4, 4, 4, 5, 5, 6, 6, 7, 8, 8, 9, 10, 11, 12, 13, 14, 16, 16, 16, 16],
+  [2, 2, 2, 2, 2, 3, 3, 3, 4, 4, 4, 5, 5, 6, 6, 7, 8, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 20, 22, 22, 22, 22]
+]
+const KEYCODE_NOTE = [0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 3, 3, 3, 3, 3, 3]
+
+const LFO_FREQS = [3.98, 5.56, 6.02, 6.37, 6.88, 9.63, 48.1, 72.2]
+const AM_DEPTH = [0, 15, 63, 126] // attenuation units (0 / 1.4 / 5.9 / 11.8 dB)
+const PM_CENTS = [0, 3.4, 6.7, 10, 14, 20, 40, 80]
+
+// Register slot order is S1, S3, S2, S4
+const SLOT_FROM_REGISTER = [0, 2, 1, 3]
+// Channel 3 special mode frequency registers A8-AA map to S3, S1, S2
+const CH3_SLOT = [2, 0, 1]
+
+// Phase offset (in cycles) for a full-scale modulator
+const MOD_DEPTH = 4
+const CHANNEL_GAIN = 0.18
+
+const createOperator = () => ({
+  dt: 0, mul: 1, tl: 0, ks: 0, ar: 0, d1r: 0, d2r: 0, d1l: 0, rr: 0, am: false,
+  phase: 0, inc: 0, env: MAX_ATT, state: EG_RELEASE, keyOn: false, keycode: 0
+})
+
+const createChannel = () => ({
+  ops: [createOperator(), createOperator(), createOperator(), createOperator()],
+  fnum: 0, block: 0, algorithm: 0, feedback: 0,
+  left: true, right: true, ams: 0, fms: 0,
+  fb0: 0, fb1: 0
+})
+
+export class YM2612 {
+  constructor(clock) {
+    this.rate = clock / 144
+    this.muted = 0 // bit per channel; survives reset
+    this.peaks = new Float32Array(6)
+    this.reset()
+  }
+
+  reset() {
+    this.channels = Array.from({ length: 6 }, createChannel)
+    this.fnumLatch = 0
+    this.ch3Latch = 0
+    this.ch3Fnum = [0, 0, 0]
+    this.ch3Block = [0, 0, 0]
+    this.ch3Mode = 0
+    this.dac = 0
+    this.dacEnabled = false
+    this.lfoEnabled = false
+    this.lfoRate = 0
+    this.lfoPhase = 0
+    this.egTimer = 0
+    this.egCounter = 0
+  }
+
+  write(port, addr, data) {
+    if (port === 0 && addr < 0x30) {
+      this.writeGlobal(addr, data)
+      return
+    }
+    const chIndex = addr & 3
+    if (chIndex === 3) return
+    const ch = this.channels[chIndex + port * 3]
+
+    if (addr < 0xA0) {
+      const op = ch.ops[SLOT_FROM_REGISTER[(addr >> 2) & 3]]
+      switch (addr & 0xF0) {
+        case 0x30: op.dt = (data >> 4) & 7; op.mul = data & 0x0F; break
+        case 0x40: op.tl = data & 0x7F; break
+        case 0x50: op.ks = data >> 6; op.ar = data & 0x1F; break
+        case 0x60: op.am = (data & 0x80) !== 0; op.d1r = data & 0x1F; break
+        case 0x70: op.d2r = data & 0x1F; break
+        case 0x80: op.d1l = data >> 4; op.rr = data & 0x0F; break
+        default: return // 0x90 SSG-EG is not emulated
+      }
+      this.updateFrequency(ch, chIndex + port * 3)
+      return
+    }
+
+    switch (addr & 0xFC) {
+      case 0xA0:
+        ch.fnum = ((this.fnumLatch & 7) << 8) | data
+        ch.block = (this.fnumLatch >> 3) & 7
+        break
+      case 0xA4:
+        this.fnumLatch = data & 0x3F
+        return
+      case 0xA8:
+        if (port !== 0) return
+        this.ch3Fnum[chIndex] = ((this.ch3Latch & 7) << 8) | data
+        this.ch3Block[chIndex] = (this.ch3Latch >> 3) & 7
+        this.updateFrequency(this.channels[2], 2)
+        return
+      case 0xAC:
+        if (port === 0) this.ch3Latch = data & 0x3F
+        return
+      case 0xB0:
+        ch.feedback = (data >> 3) & 7
+        ch.algorithm = data & 7
+        return
+      case 0xB4:
+        ch.left = (data & 0x80) !== 0
+        ch.right = (data & 0x40) !== 0
+        ch.ams = (data >> 4) & 3
+        ch.fms = data & 7
+        return
+      default:
+        return
+    }
+    this.updateFrequency(ch, chIndex + port * 3)
+  }
+
+  writeGlobal(addr, data) {
+    switch (addr) {
+      case 0x22:
+        this.lfoEnabled = (data & 0x08) !== 0
+        this.lfoRate = data & 7
+        break
+      case 0x27:
+        this.ch3Mode = (data >> 6) & 3
+        this.updateFrequency(this.channels[2], 2)
+        break
+      case 0x28: {
+        const chIndex = (data & 3) + ((data & 4) ? 3 : 0)
+        if ((data & 3) === 3) break
+        const ch = this.channels[chIndex]
+        // Bits 4-7 key S1, S2, S3, S4
+        for (let slot = 0; slot < 4; slot++) {
+          this.setKey(ch.ops[slot], (data & (0x10 << slot)) !== 0)
+        }
+        break
+      }
+      case 0x2A:
+        this.dac = data
+        break
+      case 0x2B:
+        this.dacEnabled = (data & 0x80) !== 0
+        break
+      default:
+        break
+    }
+  }
+
+  setKey(op, on) {
+    if (on && !op.keyOn) {
+      op.phase = 0
+      op.state = EG_ATTACK
+      // Rates 62/63 attack instantly
+      if (this.attackRate(op) >= 62) {
+        op.env = 0
+        op.state = EG_DECAY
+      }
+    } else if (!on && op.keyOn) {
+      op.state = EG_RELEASE
+    }
+    op.keyOn = on
+  }
+
+  // Recompute phase increments (cycles per chip sample) for a channel's operators
+  updateFrequency(ch, chIndex) {
+    for (let slot = 0; slot < 4; slot++) {
+      let fnum = ch.fnum
+      let block = ch.block
+      if (chIndex === 2 && this.ch3Mode !== 0 && slot < 3) {
+        const special = CH3_SLOT.indexOf(slot)
+        fnum = this.ch3Fnum[special]
+        block = this.ch3Block[special]
+      }
+      const op = ch.ops[slot]
+      op.keycode = (block << 2) | KEYCODE_NOTE[fnum >> 7]
+      const detune = DETUNE[op.dt & 3][op.keycode] * ((op.dt & 4) ? -1 : 1)
+      const base = ((((fnum << block) >> 1) + detune) & 0x1FFFF)
+      op.inc = (base * (op.mul ? op.mul * 2 : 1)) / 2 / (1 << 20)
+    }
+  }
+
+  // Channel pitch in Hz while any operator is keyed on, else 0 (DAC has no pitch)
+  channelFrequency(c) {
+    const ch = this.channels[c]
+    if (c === 5 && this.dacEnabled) return 0
+    if (!ch.ops.some(op => op.keyOn)) return 0
+    return ((ch.fnum << ch.block) >> 1) / (1 << 20) * this.rate
+  }
+
+  keyScale(op) {
+    return op.keycode >> (3 - op.ks)
+  }
+
+  attackRate(op) {
+    return op.ar ? Math.min(63, op.ar * 2 + this.keyScale(op)) : 0
+  }
+
+  stepEnvelope(op) {
+    let rate
+    switch (op.state) {
+      case EG_ATTACK: rate = this.attackRate(op); break
+      case EG_DECAY: rate = op.d1r ? Math.min(63, op.d1r * 2 + this.keyScale(op)) : 0; break
+      case EG_SUSTAIN: rate = op.d2r ? Math.min(63, op.d2r * 2 + this.keyScale(op)) : 0; break
+      default: rate = Math.min(63, op.rr * 4 + 2 + this.keyScale(op)); break
+    }
+    const shift = egShift(rate)
+    if (this.egCounter & ((1 << shift) - 1)) return
+    const inc = EG_INC[egRow(rate)][(this.egCounter >> shift) & 7]
+    if (!inc) return
+
+    if (op.state === EG_ATTACK) {
+      op.env += (~op.env * inc) >> 4
+      if (op.env <= 0) {
+        op.env = 0
+        op.state = EG_DECAY
+      }
+      return
+    }
+    op.env = Math.min(MAX_ATT, op.env + inc)
+    if (op.state === EG_DECAY) {
+      const sustainLevel = op.d1l === 15 ? 31 * 32 : op.d1l * 32
+      if (op.env >= sustainLevel) op.state = EG_SUSTAIN
+    }
+  }
+
+  operator(op, modulation, amAtt) {
+    const att = op.env + (op.tl << 3) + (op.am ? amAtt : 0)
+    if (att >= MAX_ATT) return 0
+    const index = ((op.phase + modulation) * SINE_SIZE) & (SINE_SIZE - 1)
+    return SINE[index] * ATT_GAIN[att]
+  }
+
+  renderChannel(ch, amAtt) {
+    const [s1, s2, s3, s4] = ch.ops
+    const fb = ch.feedback ? (ch.fb0 + ch.fb1) * Math.pow(2, ch.feedback - 7) : 0
+    const o1 = this.operator(s1, fb, amAtt)
+    ch.fb0 = ch.fb1
+    ch.fb1 = o1
+
+    let o2, o3, o4, out
+    switch (ch.algorithm) {
+      case 0:
+        o2 = this.operator(s2, o1 * MOD_DEPTH, amAtt)
+        o3 = this.operator(s3, o2 * MOD_DEPTH, amAtt)
+        out = this.operator(s4, o3 * MOD_DEPTH, amAtt)
+        break
+      case 1:
+        o2 = this.operator(s2, 0, amAtt)
+        o3 = this.operator(s3, (o1 + o2) * MOD_DEPTH, amAtt)
+        out = this.operator(s4, o3 * MOD_DEPTH, amAtt)
+        break
+      case 2:
+        o2 = this.operator(s2, 0, amAtt)
+        o3 = this.operator(s3, o2 * MOD_DEPTH, amAtt)
+        out = this.operator(s4, (o1 + o3) * MOD_DEPTH, amAtt)
+        break
+      case 3:
+        o2 = this.operator(s2, o1 * MOD_DEPTH, amAtt)
+        o3 = this.operator(s3, 0, amAtt)
+        out = this.operator(s4, (o2 + o3) * MOD_DEPTH, amAtt)
+        break
+      case 4:
+        o2 = this.operator(s2, o1 * MOD_DEPTH, amAtt)
+        o3 = this.operator(s3, 0, amAtt)
+        o4 = this.operator(s4, o3 * MOD_DEPTH, amAtt)
+        out = o2 + o4
+        break
+      case 5:
+        o2 = this.operator(s2, o1 * MOD_DEPTH, amAtt)
+        o3 = this.operator(s3, o1 * MOD_DEPTH, amAtt)
+        o4 = this.operator(s4, o1 * MOD_DEPTH, amAtt)
+        out = o2 + o3 + o4
+        break
+      case 6:
+        o2 = this.operator(s2, o1 * MOD_DEPTH, amAtt)
+        o3 = this.operator(s3, 0, amAtt)
+        o4 = this.operator(s4, 0, amAtt)
+        out = o2 + o3 + o4
+        break
+      default:
+        o2 = this.operator(s2, 0, amAtt)
+        o3 = this.operator(s3, 0, amAtt)
+        o4 = this.operator(s4, 0, amAtt)
+        out = o1 + o2 + o3 + o4
+        break
+    }
+    return Math.max(-1, Math.min(1, out))
+  }
+
+  // One chip sample into out[0] / out[1]
+  render(out) {
+    // LFO: triangle for amplitude, sine for pitch
+    let amAtt = 0
+    let pmWave = 0
+    if (this.lfoEnabled) {
+      this.lfoPhase = (this.lfoPhase + LFO_FREQS[this.lfoRate] / this.rate) % 1
+      amAtt = 1 - Math.abs(this.lfoPhase * 2 - 1)
+      pmWave = SINE[(this.lfoPhase * SINE_SIZE) & (SINE_SIZE - 1)]
+    }
+
+    if (++this.egTimer >= 3) {
+      this.egTimer = 0
+      this.egCounter = (this.egCounter + 1) & 0xFFF
+    }
+    const egTick = this.egTimer === 0
+
+    let left = 0
+    let right = 0
+    for (let c = 0; c < 6; c++) {
+      const ch = this.channels[c]
+      const pm = pmWave && ch.fms ? Math.pow(2, (PM_CENTS[ch.fms] * pmWave) / 1200) : 1
+      for (let slot = 0; slot < 4; slot++) {
+        const op = ch.ops[slot]
+        op.phase = (op.phase + op.inc * pm) % 1
+        if (egTick) this.stepEnvelope(op)
+      }
+      const level = c === 5 && this.dacEnabled
+        ? (this.dac - 128) / 128
+        : this.renderChannel(ch, Math.round(amAtt * AM_DEPTH[ch.ams]))
+      const peak = Math.abs(level)
+      if (peak > this.peaks[c]) this.peaks[c] = peak
+      if (this.muted & (1 << c)) continue
+      if (ch.left) left += level
+      if (ch.right) right += level
+    }
+    out[0] += left * CHANNEL_GAIN
+    out[1] += right * CHANNEL_GAIN
+  }
+}
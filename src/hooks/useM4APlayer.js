@@ -1,6 +1,154 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
+import { buildTrackList, formatSeconds, withPlayLength } from '../utils/tracks'
+import { fetchGameDetail } from '../utils/library'
+import { recordPlay } from '../utils/playHistory'
+import { musicUrl, audioUrl, AUDIO_CROSS_ORIGIN } from '../utils/siteConfig'
 
-export function useM4APlayer() {
+const SPECTRUM_MODE_KEY = '9player-spectrum-mode'
+const BIN_COUNT = 16
+const FFT_SIZE = 512
+
+// 'live' routes the <audio> element through an AnalyserNode for a real spectrum.
+// 'lite' keeps plain HTML5 Audio (reliable background playback) with a synthetic spectrum.
+const loadSpectrumMode = () => {
+  try {
+    return localStorage.getItem(SPECTRUM_MODE_KEY) === 'live' ? 'live' : 'lite'
+  } catch {
+    return 'lite'
+  }
+}
+
+const saveSpectrumMode = (mode) => {
+  try {
+    localStorage.setItem(SPECTRUM_MODE_KEY, mode)
+  } catch {
+    // ignore storage errors
+  }
+}
+
+const CROSSFADE_KEY = '9player-crossfade'
+export const MAX_CROSSFADE = 12
+
+const loadCrossfade = () => {
+  try {
+    const saved = parseInt(localStorage.getItem(CROSSFADE_KEY), 10)
+    return Number.isFinite(saved) ? Math.max(0, Math.min(MAX_CROSSFADE, saved)) : 0
+  } catch {
+    return 0
+  }
+}
+
+const saveCrossfade = (seconds) => {
+  try {
+    localStorage.setItem(CROSSFADE_KEY, String(seconds))
+  } catch {
+    // ignore storage errors
+  }
+}
+
+const LOOP_KEY = '9player-loop'
+export const MAX_LOOP_COUNT = 8
+const DEFAULT_LOOP = { mode: 'count', count: 2 }
+const DEFAULT_FADE = 5
+
+// { mode: 'count' | 'forever', count } - how often looped tracks repeat
+const loadLoopSetting = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOOP_KEY))
+    const count = Number.isFinite(saved?.count)
+      ? Math.max(1, Math.min(MAX_LOOP_COUNT, saved.count))
+      : DEFAULT_LOOP.count
+    return { mode: saved?.mode === 'forever' ? 'forever' : 'count', count }
+  } catch {
+    return DEFAULT_LOOP
+  }
+}
+
+const saveLoopSetting = (loop) => {
+  try {
+    localStorage.setItem(LOOP_KEY, JSON.stringify(loop))
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// How a looped track is stretched or cut to the requested loop count. The file
+// holds the intro, `renderedLoops` loops and a fade: extra loops seek back one
+// loop length just before the rendered fade, fewer loops fade out early.
+// Returns null when the file can simply play to its end.
+const planLoops = (track, loop) => {
+  if (!track?.loopLength || !track.renderedLoops) return null
+  const { introLength, loopLength, renderedLoops } = track
+  if (loop.mode === 'forever' || loop.count > renderedLoops) {
+    // The jump lands one loop earlier, which must still be past the intro
+    if (renderedLoops < 2) return null
+    return {
+      loopLength,
+      jumpAt: introLength + renderedLoops * loopLength - Math.min(0.5, loopLength / 4),
+      jumps: loop.mode === 'forever' ? Infinity : loop.count - renderedLoops,
+      fadeAt: null
+    }
+  }
+  if (loop.count < renderedLoops) {
+    return {
+      loopLength,
+      jumpAt: null,
+      jumps: 0,
+      fadeAt: introLength + loop.count * loopLength,
+      fadeLength: track.fadeLength || DEFAULT_FADE
+    }
+  }
+  return null
+}
+
+const QUEUE_KEY = '9player-queue'
+const POSITION_SAVE_INTERVAL = 5000
+
+// Persisted shape: { queue: [track], position: { track, elapsed } | null }
+const loadQueueState = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QUEUE_KEY))
+    return {
+      queue: Array.isArray(saved?.queue) ? saved.queue : [],
+      position: saved?.position?.track ? saved.position : null
+    }
+  } catch {
+    return { queue: [], position: null }
+  }
+}
+
+const saveQueueState = (state) => {
+  try {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(state))
+  } catch {
+    // ignore storage errors
+  }
+}
+
+const createQueueId = () =>
+  window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`
+
+const toQueueEntries = (tracks) =>
+  (Array.isArray(tracks) ? tracks : [tracks]).map(t => ({ ...t, queueId: createQueueId() }))
+
+const getAudioContextClass = () => window.AudioContext || window.webkitAudioContext || null
+
+// Group FFT bins into BIN_COUNT log-spaced bands (low frequencies get fewer bins each)
+const buildBandEdges = (binCount) => {
+  const usable = Math.floor(binCount * 0.75) // top quarter is mostly empty for chip music
+  const edges = []
+  for (let i = 0; i <= BIN_COUNT; i++) {
+    edges.push(Math.max(1, Math.round(Math.pow(usable, i / BIN_COUNT))))
+  }
+  return edges
+}
+
+// `createSource(track, getOutput)` lets another engine supply an element-like
+// source for a track (see useVGMPlayer); returning null falls back to <audio>.
+// getOutput() yields { context, destination } on the shared audio graph.
+// `persist: false` (the embed player) leaves the saved queue and the play
+// history alone.
+export function useM4APlayer({ createSource = null, persist = true } = {}) {
   const [isReady] = useState(true)
   const [isPlaying, setIsPlaying] = useState(false)
   const [currentTrack, setCurrentTrack] = useState(null)
@@ -12,6 +160,12 @@ export function useM4APlayer() {
   const [repeatMode, setRepeatMode] = useState('all') // 'off' | 'all' | 'one'
   const [shuffle, setShuffle] = useState(false)
   const [volume, setVolumeState] = useState(0.8)
+  const [initialQueueState] = useState(() => persist ? loadQueueState() : { queue: [], position: null })
+  const [queue, setQueueState] = useState(initialQueueState.queue)
+  const [savedPosition, setSavedPosition] = useState(initialQueueState.position)
+  const [spectrumMode, setSpectrumModeState] = useState(loadSpectrumMode)
+  const [crossfade, setCrossfadeState] = useState(loadCrossfade)
+  const [loop, setLoopState] = useState(loadLoopSetting)
 
   const audioRef = useRef(null)
   const rafRef = useRef(null)
@@ -20,9 +174,105 @@ export function useM4APlayer() {
   const shuffleRef = useRef(false)
   const volumeRef = useRef(0.8)
   const selectedGameRef = useRef(null)
+  const listRef = useRef([]) // list the current track was started from
+  const albumIndexRef = useRef(0) // position in listRef, kept while queued tracks play
+  const currentTrackRef = useRef(null)
+  const currentIndexRef = useRef(0)
+  const queueRef = useRef(initialQueueState.queue)
+  const lastPositionSaveRef = useRef(0)
+  const savedPositionRef = useRef(initialQueueState.position)
+  const preloadNextRef = useRef(null)
+  const playLogRef = useRef(null) // { track, startedAt, listened, lastTime, completed }
   const binsRef = useRef(new Array(16).fill(0))
+  const spectrumModeRef = useRef(spectrumMode)
+  const audioCtxRef = useRef(null)
+  const analyserRef = useRef(null)
+  const routedAudioRef = useRef(new WeakSet())
+  const mediaNodesRef = useRef(new WeakMap()) // routed <audio> -> { source, gain }
+  const syncBackgroundRef = useRef(null) // AudioContext state changes, see the visibility effect
+  const preloadRef = useRef(null) // { path, audio }
+  const upcomingRef = useRef(null) // remembered next-index decision
+  const fadesRef = useRef([])
+  const crossfadeRef = useRef(crossfade)
+  const crossfadeStartedRef = useRef(false)
+  const loopRef = useRef(loop)
+  const loopStateRef = useRef({ jumps: 0, fading: false }) // progress through the current loop plan
+  const createSourceRef = useRef(createSource)
+  const loadRequestRef = useRef(0) // newest loadTracks/loadGame call wins
+
+  useEffect(() => {
+    createSourceRef.current = createSource
+  }, [createSource])
+
+  // Lazily build AudioContext -> AnalyserNode -> destination.
+  // Must first run inside a user gesture so the context starts unlocked.
+  const ensureAudioGraph = useCallback(() => {
+    if (analyserRef.current) return analyserRef.current
+    const AudioContextClass = getAudioContextClass()
+    if (!AudioContextClass) return null
+    try {
+      const ctx = new AudioContextClass()
+      const analyser = ctx.createAnalyser()
+      analyser.fftSize = FFT_SIZE
+      analyser.smoothingTimeConstant = 0.75
+      analyser.connect(ctx.destination)
+      ctx.onstatechange = () => syncBackgroundRef.current?.()
+      audioCtxRef.current = ctx
+      analyserRef.current = analyser
+      return analyser
+    } catch (e) {
+      console.error('Web Audio setup failed:', e)
+      return null
+    }
+  }, [])
+
+  // Route an <audio> element through the analyser when LIVE mode is on.
+  // Skipped while the page is hidden: a locked phone suspends the AudioContext,
+  // so background tracks stay on the plain HTML5 path until the page is back
+  // in view (see the visibility effect).
+  const routeAudio = useCallback((audio) => {
+    if (spectrumModeRef.current !== 'live' || document.hidden) return false
+    const analyser = ensureAudioGraph()
+    if (!analyser) return false
+    try {
+      const source = audioCtxRef.current.createMediaElementSource(audio)
+      // Crossfades ramp this gain (see fadeAudio)
+      const gain = audioCtxRef.current.createGain()
+      source.connect(gain)
+      gain.connect(analyser)
+      routedAudioRef.current.add(audio)
+      mediaNodesRef.current.set(audio, { source, gain })
+      if (audioCtxRef.current.state === 'suspended') {
+        audioCtxRef.current.resume().catch(() => {})
+      }
+      return true
+    } catch (e) {
+      console.error('Failed to route audio through analyser:', e)
+      return false
+    }
+  }, [ensureAudioGraph])
+
+  // Called from user gestures so the AudioContext is created/resumed unlocked
+  const resumeAudio = useCallback(() => {
+    if (spectrumModeRef.current !== 'live' && !createSourceRef.current) return
+    ensureAudioGraph()
+    const ctx = audioCtxRef.current
+    if (ctx && ctx.state === 'suspended') {
+      ctx.resume().catch(() => {})
+    }
+  }, [ensureAudioGraph])
+
+  const setSpectrumMode = useCallback((mode) => {
+    const next = mode === 'live' ? 'live' : 'lite'
+    spectrumModeRef.current = next
+    setSpectrumModeState(next)
+    saveSpectrumMode(next)
+    // Takes effect from the next track; the current element keeps its routing
+    if (next === 'live') resumeAudio()
+  }, [resumeAudio])
 
-  // Synthetic frequency visualization (no Web Audio API dependency)
+  // Frequency visualization: real FFT bins when the current element is routed
+  // through the analyser, otherwise a synthetic spectrum
   useEffect(() => {
     if (!isPlaying) {
       if (rafRef.current) {
@@ -35,7 +285,38 @@ export function useM4APlayer() {
       return
     }
 
+    let fftBuffer = null
+    let bandEdges = null
+
+    const readAnalyser = () => {
+      const analyser = analyserRef.current
+      if (!fftBuffer || fftBuffer.length !== analyser.frequencyBinCount) {
+        fftBuffer = new Uint8Array(analyser.frequencyBinCount)
+        bandEdges = buildBandEdges(analyser.frequencyBinCount)
+      }
+      analyser.getByteFrequencyData(fftBuffer)
+      const next = []
+      for (let i = 0; i < BIN_COUNT; i++) {
+        const start = bandEdges[i]
+        const end = Math.max(start + 1, bandEdges[i + 1])
+        let peak = 0
+        for (let j = start; j < end; j++) {
+          if (fftBuffer[j] > peak) peak = fftBuffer[j]
+        }
+        next[i] = peak
+      }
+      return next
+    }
+
     const tick = () => {
+      if (analyserRef.current && routedAudioRef.current.has(audioRef.current)) {
+        const next = readAnalyser()
+        binsRef.current = next
+        setFrequencyData(next)
+        rafRef.current = requestAnimationFrame(tick)
+        return
+      }
+
       const bins = binsRef.current
       const next = []
       for (let i = 0; i < 16; i++) {
@@ -58,14 +339,12 @@ export function useM4APlayer() {
     return () => {
       if (rafRef.current) cancelAnimationFrame(rafRef.current)
     }
-  }, [isPlaying])
-
-  const formatDuration = useCallback((sec) => {
-    const s = Math.floor(sec)
-    return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, '0')}`
-  }, [])
+  }, [isPlaying, spectrumMode])
 
-  const loadGame = useCallback((game) => {
+  // Load an already-built track list (a game, a playlist...) without playing it.
+  // `game` is set only when the whole list belongs to one game.
+  const loadTracks = useCallback((tracks, game = null) => {
+    loadRequestRef.current += 1
     selectedGameRef.current = game
 
     setTrackList([])
@@ -74,28 +353,21 @@ export function useM4APlayer() {
     setTrackInfo(null)
     setElapsed(0)
 
-    if (!game || !game.tracks || game.tracks.length === 0) return []
-
-    const tracks = game.tracks.map((t) => ({
-      ...t,
-      path: t.audioFile || `${game.audioDir}/${t.filename}`,
-      lengthFormatted: t.duration
-        ? formatDuration(t.duration)
-        : '--:--'
-    }))
+    if (!tracks || tracks.length === 0) return []
 
     setTrackList(tracks)
+    listRef.current = tracks
 
     // Preload duration for tracks missing it
     tracks.forEach((track, i) => {
       if (track.duration) return
       const probe = new Audio()
       probe.preload = 'metadata'
-      probe.src = `/music/${track.path}`
+      probe.src = audioUrl(track.path)
       probe.onloadedmetadata = () => {
         const dur = probe.duration
         if (!isFinite(dur)) return
-        const formatted = formatDuration(dur)
+        const formatted = formatSeconds(dur)
         setTrackList(prev => prev.map((t, j) =>
           j === i ? { ...t, length: Math.floor(dur), lengthFormatted: formatted } : t
         ))
@@ -104,33 +376,181 @@ export function useM4APlayer() {
     })
 
     return tracks
-  }, [formatDuration])
+  }, [])
 
-  const play = useCallback((trackIndex, tracks = null) => {
-    const list = tracks || trackList
-    if (list.length === 0) return
+  // Fetches the game's detail file when the manifest entry has no tracks yet.
+  // Resolves to the loaded tracks, or [] if it failed or another list was
+  // loaded in the meantime.
+  const loadGame = useCallback(async (game) => {
+    const request = ++loadRequestRef.current
+    try {
+      const fullGame = await fetchGameDetail(game)
+      if (request !== loadRequestRef.current) return []
+      return loadTracks(buildTrackList(fullGame), fullGame)
+    } catch (err) {
+      console.error('Failed to load game:', err)
+      return []
+    }
+  }, [loadTracks])
 
-    const idx = trackIndex !== undefined ? trackIndex : currentTrackIndex
-    const track = list[idx]
-    if (!track) return
+  // Play history: count seconds actually heard (seeks excluded) and log one
+  // record per play. A play is "skipped" if it was left well before the end.
+  const beginPlayLog = useCallback((track) => {
+    playLogRef.current = { track, startedAt: Date.now(), listened: 0, lastTime: null, completed: false }
+  }, [])
 
-    // Stop previous audio
-    if (audioRef.current) {
-      audioRef.current.pause()
-      audioRef.current.removeAttribute('src')
-      audioRef.current.load()
+  const finishPlayLog = useCallback(() => {
+    const log = playLogRef.current
+    playLogRef.current = null
+    if (!persist || !log || log.listened < 1) return
+    const duration = audioRef.current && isFinite(audioRef.current.duration)
+      ? audioRef.current.duration
+      : log.track.duration || 0
+    const game = log.track.game || selectedGameRef.current
+    recordPlay({
+      gameId: game?.id || '',
+      gameTitle: game?.title || '',
+      system: game?.system || '',
+      composer: log.track.author || game?.author || '',
+      trackPath: log.track.path,
+      trackName: log.track.name,
+      startedAt: log.startedAt,
+      listenedSeconds: Math.round(log.listened),
+      duration: Math.round(duration),
+      skipped: !log.completed && !(duration > 0 && log.listened >= duration * 0.9)
+    }).catch(e => console.error('Failed to record play:', e))
+  }, [persist])
+
+  // Remember the queue and what is playing (and where) across reloads
+  const persistQueueState = useCallback(() => {
+    if (!persist) return
+    const track = currentTrackRef.current
+    const position = track
+      ? { track, elapsed: audioRef.current ? Math.floor(audioRef.current.currentTime) : 0 }
+      : savedPositionRef.current
+    savedPositionRef.current = position
+    lastPositionSaveRef.current = Date.now()
+    saveQueueState({ queue: queueRef.current, position })
+  }, [persist])
+
+  const updateQueue = useCallback((updater) => {
+    queueRef.current = updater(queueRef.current)
+    setQueueState(queueRef.current)
+    persistQueueState()
+    // The queue head is what plays next, so refresh the preloaded element
+    if (preloadNextRef.current) preloadNextRef.current()
+  }, [persistQueueState])
+
+  // Cancel running crossfades; finished-off elements are released immediately
+  const cancelFades = useCallback(() => {
+    fadesRef.current.forEach(fade => {
+      if (fade.gain) {
+        clearTimeout(fade.timer)
+        fade.gain.cancelScheduledValues(0)
+        fade.gain.value = 1
+      } else {
+        clearInterval(fade.timer)
+        if (fade.direction === 'in') fade.audio.volume = volumeRef.current
+      }
+      if (fade.onDone) fade.onDone()
+    })
+    fadesRef.current = []
+  }, [])
+
+  // Fade an element in or out over `seconds`. Routed elements ramp their
+  // GainNode on the audio thread, which stays smooth in a background tab where
+  // timers are throttled to about once a second. Anything else steps
+  // audio.volume from a timer, reading volumeRef on every step so volume
+  // changes apply mid-fade.
+  const fadeAudio = useCallback((audio, direction, seconds, onDone) => {
+    const gain = mediaNodesRef.current.get(audio)?.gain.gain
+    if (gain) {
+      const fade = { audio, direction, onDone, gain, timer: null }
+      const now = audioCtxRef.current.currentTime
+      audio.volume = volumeRef.current
+      gain.cancelScheduledValues(now)
+      gain.setValueAtTime(direction === 'in' ? 0 : gain.value, now)
+      gain.linearRampToValueAtTime(direction === 'in' ? 1 : 0, now + seconds)
+      fade.timer = setTimeout(() => {
+        fadesRef.current = fadesRef.current.filter(f => f !== fade)
+        if (onDone) onDone()
+      }, seconds * 1000)
+      fadesRef.current.push(fade)
+      return
     }
 
-    // Plain HTML5 Audio - no Web Audio API, so it plays in background
-    const audio = new Audio(`/music/${track.path}`)
-    audio.preload = 'auto'
-    audio.volume = volumeRef.current
+    const startedAt = performance.now()
+    const fade = { audio, direction, onDone, timer: null }
+    const step = () => {
+      const t = Math.min(1, (performance.now() - startedAt) / (seconds * 1000))
+      const gain = direction === 'in' ? t : 1 - t
+      audio.volume = Math.max(0, Math.min(1, gain * volumeRef.current))
+      if (t >= 1) {
+        clearInterval(fade.timer)
+        fadesRef.current = fadesRef.current.filter(f => f !== fade)
+        if (onDone) onDone()
+      }
+    }
+    fade.timer = setInterval(step, 50)
+    fadesRef.current.push(fade)
+    step()
+  }, [])
 
+  // Attach playback event handlers to an element and make it the current one
+  const bindAudio = useCallback((audio, idx, loopState = { jumps: 0, fading: false }) => {
+    crossfadeStartedRef.current = false
+    loopStateRef.current = loopState
     audio.ontimeupdate = () => {
-      setElapsed(audio.currentTime)
+      const plan = planLoops(currentTrackRef.current, loopRef.current)
+      if (plan && plan.jumpAt !== null && loopState.jumps < plan.jumps && audio.currentTime >= plan.jumpAt) {
+        loopState.jumps += 1
+        audio.currentTime -= plan.loopLength
+      }
+      setElapsed(audio.currentTime + loopState.jumps * (plan?.loopLength || 0))
+
+      const log = playLogRef.current
+      if (log) {
+        const delta = log.lastTime === null ? 0 : audio.currentTime - log.lastTime
+        if (delta > 0 && delta < 2) log.listened += delta
+        log.lastTime = audio.currentTime
+      }
+      if (Date.now() - lastPositionSaveRef.current > POSITION_SAVE_INTERVAL) persistQueueState()
+
+      // Fewer loops than rendered: fade out early (or blend into the next track)
+      if (plan && plan.fadeAt !== null && !crossfadeStartedRef.current) {
+        if (!loopState.fading && audio.currentTime >= plan.fadeAt) {
+          loopState.fading = true
+          if (crossfadeRef.current > 0) {
+            crossfadeStartedRef.current = true
+            if (playLogRef.current) playLogRef.current.completed = true
+            if (nextTrackRef.current) nextTrackRef.current({ crossfade: plan.fadeLength })
+            return
+          }
+          fadeAudio(audio, 'out', plan.fadeLength)
+        }
+        if (loopState.fading && audio.currentTime >= plan.fadeAt + plan.fadeLength) {
+          crossfadeStartedRef.current = true
+          if (playLogRef.current) playLogRef.current.completed = true
+          if (nextTrackRef.current) nextTrackRef.current()
+        }
+        return
+      }
+
+      // Start the next track early so both overlap for the crossfade duration.
+      // Only once the file is headed for its own ending (no loop jumps left).
+      const fadeSeconds = crossfadeRef.current
+      const nearFileEnd = !plan || loopState.jumps >= plan.jumps
+      if (fadeSeconds > 0 && nearFileEnd && !crossfadeStartedRef.current && isFinite(audio.duration) &&
+        audio.duration > fadeSeconds * 2 && audio.duration - audio.currentTime <= fadeSeconds) {
+        crossfadeStartedRef.current = true
+        if (playLogRef.current) playLogRef.current.completed = true
+        if (nextTrackRef.current) nextTrackRef.current({ crossfade: audio.duration - audio.currentTime })
+      }
     }
 
     audio.onloadedmetadata = () => {
+      // Manifest timing is exact (and loop-aware); only fill in unknown lengths
+      if (currentTrackRef.current?.duration) return
       const dur = Math.floor(audio.duration)
       if (!isFinite(dur)) return
       const formatted = `${Math.floor(dur / 60)}:${(dur % 60).toString().padStart(2, '0')}`
@@ -144,73 +564,275 @@ export function useM4APlayer() {
     }
 
     audio.onended = () => {
+      if (playLogRef.current) playLogRef.current.completed = true
       if (nextTrackRef.current) nextTrackRef.current()
     }
 
     audio.onplay = () => setIsPlaying(true)
     audio.onpause = () => {
-      if (audio === audioRef.current) setIsPlaying(false)
+      if (audio === audioRef.current) {
+        setIsPlaying(false)
+        persistQueueState()
+      }
     }
 
     audioRef.current = audio
+  }, [persistQueueState, fadeAudio])
 
-    const game = selectedGameRef.current
+  useEffect(() => {
+    const handlePageHide = () => finishPlayLog()
+    window.addEventListener('pagehide', handlePageHide)
+    return () => window.removeEventListener('pagehide', handlePageHide)
+  }, [finishPlayLog])
+
+  const releaseAudio = useCallback((audio) => {
+    audio.onended = null
+    audio.onpause = null
+    audio.ontimeupdate = null
+    audio.onloadedmetadata = null
+    audio.pause()
+    audio.removeAttribute('src')
+    audio.load()
+    const nodes = mediaNodesRef.current.get(audio)
+    if (nodes) {
+      nodes.source.disconnect()
+      nodes.gain.disconnect()
+      mediaNodesRef.current.delete(audio)
+    }
+  }, [])
+
+  const discardPreload = useCallback(() => {
+    if (preloadRef.current) {
+      releaseAudio(preloadRef.current.audio)
+      preloadRef.current = null
+    }
+  }, [releaseAudio])
+
+  const getAudioOutput = useCallback(() => {
+    const analyser = ensureAudioGraph()
+    return analyser ? { context: audioCtxRef.current, destination: analyser } : null
+  }, [ensureAudioGraph])
+
+  const createAudio = useCallback((track) => {
+    const source = createSourceRef.current ? createSourceRef.current(track, getAudioOutput) : null
+    if (source) {
+      source.volume = volumeRef.current
+      routedAudioRef.current.add(source) // feeds the analyser directly
+      return source
+    }
+    const audio = new Audio()
+    audio.crossOrigin = AUDIO_CROSS_ORIGIN
+    audio.src = audioUrl(track.path)
+    audio.preload = 'auto'
+    audio.volume = volumeRef.current
+    routeAudio(audio)
+    return audio
+  }, [routeAudio, getAudioOutput])
+
+  // Decide which list index follows `idx`, honouring repeat-all and shuffle.
+  // Returns -1 when the list is exhausted. Shuffle picks are remembered so the
+  // preloaded track and the track actually played next are the same.
+  const pickNextIndex = useCallback((list, idx) => {
+    if (list.length === 0) return -1
+    const upcoming = upcomingRef.current
+    if (upcoming && upcoming.list === list && upcoming.from === idx && upcoming.shuffle === shuffleRef.current) {
+      return upcoming.idx
+    }
+    let nextIdx
+    if (shuffleRef.current) {
+      do {
+        nextIdx = Math.floor(Math.random() * list.length)
+      } while (nextIdx === idx && list.length > 1)
+    } else {
+      nextIdx = (idx + 1) % list.length
+      if (repeatModeRef.current === 'off' && nextIdx === 0) nextIdx = -1
+    }
+    upcomingRef.current = { list, from: idx, idx: nextIdx, shuffle: shuffleRef.current }
+    return nextIdx
+  }, [])
+
+  // What plays after the current track: repeat-one, then the queue head,
+  // then the loaded list. Returns null when playback should stop.
+  const pickNext = useCallback(() => {
+    if (repeatModeRef.current === 'one' && currentTrackRef.current) {
+      return { track: currentTrackRef.current, index: currentIndexRef.current }
+    }
+    if (queueRef.current.length > 0) {
+      return { track: queueRef.current[0], index: -1, queued: true }
+    }
+    const list = listRef.current
+    const nextIdx = pickNextIndex(list, albumIndexRef.current)
+    return nextIdx === -1 ? null : { track: list[nextIdx], index: nextIdx }
+  }, [pickNextIndex])
+
+  // Buffer the next track so the handoff on `ended` has no network stall
+  const preloadNext = useCallback(() => {
+    const upcoming = pickNext()?.track
+    if (preloadRef.current && upcoming && preloadRef.current.path === upcoming.path) return
+    discardPreload()
+    if (!upcoming) return
+    const audio = createAudio(upcoming)
+    audio.load()
+    preloadRef.current = { path: upcoming.path, audio }
+  }, [pickNext, discardPreload, createAudio])
+
+  useEffect(() => {
+    preloadNextRef.current = preloadNext
+  }, [preloadNext])
+
+  // Hand out the preloaded element when it is the requested track. A routed
+  // element is silent while the AudioContext is suspended, so drop it then.
+  const takePreloaded = useCallback((track) => {
+    const preloaded = preloadRef.current
+    if (!preloaded || preloaded.path !== track.path) return null
+    preloadRef.current = null
+    if (audioCtxRef.current?.state !== 'running' && mediaNodesRef.current.has(preloaded.audio)) {
+      releaseAudio(preloaded.audio)
+      return null
+    }
+    return preloaded.audio
+  }, [releaseAudio])
+
+  // Start `track`. `idx` is its position in listRef, or -1 for a queued track
+  // from outside the list. Options: crossfade (seconds), startAt (seconds).
+  const startTrack = useCallback((track, idx, options = {}) => {
+    finishPlayLog()
+    cancelFades()
+
+    // Stop previous audio, or let it fade out underneath the new one
+    const previous = audioRef.current
+    if (previous) {
+      if (options.crossfade > 0) {
+        previous.onended = null
+        previous.onpause = null
+        previous.ontimeupdate = null
+        fadeAudio(previous, 'out', options.crossfade, () => releaseAudio(previous))
+      } else {
+        releaseAudio(previous)
+      }
+    }
+
+    const audio = takePreloaded(track) || createAudio(track)
+    bindAudio(audio, idx)
+
+    if (options.startAt > 0) {
+      const startAt = options.startAt
+      if (audio.readyState >= 1) {
+        audio.currentTime = startAt
+      } else {
+        audio.addEventListener('loadedmetadata', () => {
+          audio.currentTime = startAt
+        }, { once: true })
+      }
+    }
+
+    const game = track.game || selectedGameRef.current
     setTrackInfo({
       title: track.name,
       titleJp: track.nameJp && track.nameJp !== track.name ? track.nameJp : null,
       game: game?.title || '',
       system: game?.system || '',
       author: game?.author || '',
+      coverImage: game?.coverImage || null,
       length: track.lengthFormatted
     })
 
+    beginPlayLog(track)
+    currentTrackRef.current = track
+    currentIndexRef.current = idx
+    if (idx >= 0) albumIndexRef.current = idx
     setCurrentTrack(track)
     setCurrentTrackIndex(idx)
     setIsPlaying(true)
+    persistQueueState()
+
+    if (options.crossfade > 0) {
+      fadeAudio(audio, 'in', options.crossfade)
+    } else {
+      audio.volume = volumeRef.current
+    }
 
     audio.play().catch(e => {
       console.error('Playback failed:', e)
       setIsPlaying(false)
     })
-  }, [trackList, currentTrackIndex])
 
+    preloadNext()
+  }, [finishPlayLog, beginPlayLog, cancelFades, fadeAudio, releaseAudio, takePreloaded, createAudio, bindAudio, persistQueueState, preloadNext])
+
+  const play = useCallback((trackIndex, tracks = null, options = {}) => {
+    const list = tracks || trackList
+    if (list.length === 0) return
+
+    const idx = trackIndex !== undefined ? trackIndex : currentTrackIndex
+    const track = list[idx]
+    if (!track) return
+
+    listRef.current = list
+    startTrack(track, idx, options)
+  }, [trackList, currentTrackIndex, startTrack])
+
+  // `time` is on the played timeline, which runs past the file length when
+  // extra loops are inserted; map it back onto the file
   const seek = useCallback((time) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = time
-      setElapsed(Math.floor(time))
+    const audio = audioRef.current
+    if (!audio) return
+    const plan = planLoops(currentTrackRef.current, loopRef.current)
+    let fileTime = time
+    let jumps = 0
+    while (plan && plan.jumpAt !== null && fileTime >= plan.jumpAt && jumps < plan.jumps) {
+      fileTime -= plan.loopLength
+      jumps += 1
     }
-  }, [])
+    if (loopStateRef.current.fading) {
+      cancelFades()
+      audio.volume = volumeRef.current
+    }
+    loopStateRef.current.jumps = jumps
+    loopStateRef.current.fading = false
+    audio.currentTime = fileTime
+    crossfadeStartedRef.current = false
+    setElapsed(Math.floor(time))
+  }, [cancelFades])
 
   const pause = useCallback(() => {
+    cancelFades()
     if (audioRef.current) {
       audioRef.current.pause()
     }
     setIsPlaying(false)
-  }, [])
+  }, [cancelFades])
 
   const stop = useCallback(() => {
+    // Keep the last saved position so the session can still be resumed
+    persistQueueState()
+    setSavedPosition(savedPositionRef.current)
+    finishPlayLog()
+    cancelFades()
+    discardPreload()
+    upcomingRef.current = null
     if (audioRef.current) {
-      audioRef.current.pause()
-      audioRef.current.removeAttribute('src')
-      audioRef.current.load()
+      releaseAudio(audioRef.current)
       audioRef.current = null
     }
+    currentTrackRef.current = null
     setElapsed(0)
     setIsPlaying(false)
     setCurrentTrack(null)
     setTrackInfo(null)
-  }, [])
+  }, [persistQueueState, finishPlayLog, cancelFades, discardPreload, releaseAudio])
 
   const togglePlayback = useCallback(() => {
     if (isPlaying) {
       pause()
     } else if (audioRef.current && currentTrack) {
+      if (routedAudioRef.current.has(audioRef.current)) resumeAudio()
       audioRef.current.play().catch(() => {})
       setIsPlaying(true)
     } else {
       play(0)
     }
-  }, [isPlaying, currentTrack, pause, play])
+  }, [isPlaying, currentTrack, pause, play, resumeAudio])
 
   const toggleRepeatMode = useCallback(() => {
     setRepeatMode(prev => {
@@ -218,56 +840,181 @@ export function useM4APlayer() {
       repeatModeRef.current = next
       return next
     })
-  }, [])
+    // The queued-up next track depends on the repeat mode
+    upcomingRef.current = null
+    preloadNext()
+  }, [preloadNext])
 
   const toggleShuffle = useCallback(() => {
-    setShuffle(prev => {
-      shuffleRef.current = !prev
-      return !prev
-    })
-  }, [])
+    shuffleRef.current = !shuffleRef.current
+    setShuffle(shuffleRef.current)
+    upcomingRef.current = null
+    preloadNext()
+  }, [preloadNext])
 
-  const nextTrack = useCallback(() => {
-    if (repeatModeRef.current === 'one') {
-      play(currentTrackIndex)
-      return
-    }
-    if (shuffleRef.current) {
-      let randomIdx
-      do {
-        randomIdx = Math.floor(Math.random() * trackList.length)
-      } while (randomIdx === currentTrackIndex && trackList.length > 1)
-      play(randomIdx)
-      return
-    }
-    const nextIdx = (currentTrackIndex + 1) % trackList.length
-    if (repeatModeRef.current === 'off' && nextIdx === 0) {
+  // Advance to the next track. `crossfade` (seconds) blends the transition.
+  const advance = useCallback((options = {}) => {
+    const next = pickNext()
+    if (!next) {
+      // Nothing to blend into: let the last track play out instead of cutting it
+      if (options.crossfade) return
       stop()
       return
     }
-    play(nextIdx)
-  }, [currentTrackIndex, trackList.length, play, stop])
+    if (next.queued) {
+      queueRef.current = queueRef.current.slice(1)
+      setQueueState(queueRef.current)
+    }
+    startTrack(next.track, next.index, options)
+  }, [pickNext, startTrack, stop])
+
+  const nextTrack = useCallback(() => advance(), [advance])
 
   const prevTrack = useCallback(() => {
-    const prevIdx = currentTrackIndex === 0 ? trackList.length - 1 : currentTrackIndex - 1
-    play(prevIdx)
-  }, [currentTrackIndex, trackList.length, play])
+    const list = listRef.current
+    if (list.length === 0) return
+    const idx = albumIndexRef.current
+    const prevIdx = idx === 0 ? list.length - 1 : idx - 1
+    play(prevIdx, list)
+  }, [play])
 
   useEffect(() => {
-    nextTrackRef.current = nextTrack
-  }, [nextTrack])
+    nextTrackRef.current = advance
+  }, [advance])
+
+  // Queue operations. Entries carry their own game info and a unique queueId,
+  // so the same track can be queued twice and tracks from any game can mix.
+  const addToQueue = useCallback((tracks) => {
+    const entries = toQueueEntries(tracks)
+    updateQueue(prev => [...prev, ...entries])
+  }, [updateQueue])
+
+  const playNext = useCallback((tracks) => {
+    const entries = toQueueEntries(tracks)
+    updateQueue(prev => [...entries, ...prev])
+  }, [updateQueue])
+
+  const addGameToQueue = useCallback((game) => {
+    fetchGameDetail(game)
+      .then(fullGame => addToQueue(buildTrackList(fullGame)))
+      .catch(err => console.error('Failed to queue game:', err))
+  }, [addToQueue])
+
+  const moveInQueue = useCallback((from, to) => {
+    updateQueue(prev => {
+      if (from < 0 || from >= prev.length || to < 0 || to >= prev.length) return prev
+      const next = [...prev]
+      const [entry] = next.splice(from, 1)
+      next.splice(to, 0, entry)
+      return next
+    })
+  }, [updateQueue])
+
+  const removeFromQueue = useCallback((index) => {
+    updateQueue(prev => prev.filter((_, i) => i !== index))
+  }, [updateQueue])
+
+  const clearQueue = useCallback(() => {
+    updateQueue(() => [])
+  }, [updateQueue])
+
+  // Jump straight to a queued entry; it leaves the queue as it starts playing
+  const playFromQueue = useCallback((index) => {
+    const entry = queueRef.current[index]
+    if (!entry) return
+    queueRef.current = queueRef.current.filter((_, i) => i !== index)
+    setQueueState(queueRef.current)
+    startTrack(entry, -1)
+  }, [startTrack])
 
   const setVolume = useCallback((v) => {
     const clamped = Math.max(0, Math.min(1, v))
     volumeRef.current = clamped
     setVolumeState(clamped)
-    if (audioRef.current) {
+    // Timer fades pick up volumeRef themselves; gain fades leave the element volume alone
+    if (audioRef.current && !fadesRef.current.some(f => f.audio === audioRef.current && !f.gain)) {
       audioRef.current.volume = clamped
     }
   }, [])
 
-  // No-op: AudioContext is no longer used, but keep interface for App.jsx
-  const resumeAudio = useCallback(() => {}, [])
+  const setCrossfade = useCallback((seconds) => {
+    const clamped = Math.max(0, Math.min(MAX_CROSSFADE, Math.round(seconds)))
+    crossfadeRef.current = clamped
+    setCrossfadeState(clamped)
+    saveCrossfade(clamped)
+  }, [])
+
+  // Applies from the current position on; the loop plan is re-read on every tick
+  const setLoopMode = useCallback((mode) => {
+    loopRef.current = { ...loopRef.current, mode: mode === 'forever' ? 'forever' : 'count' }
+    setLoopState(loopRef.current)
+    saveLoopSetting(loopRef.current)
+  }, [])
+
+  const setLoopCount = useCallback((count) => {
+    const clamped = Math.max(1, Math.min(MAX_LOOP_COUNT, Math.round(count)))
+    loopRef.current = { ...loopRef.current, count: clamped }
+    setLoopState(loopRef.current)
+    saveLoopSetting(loopRef.current)
+  }, [])
+
+  // Lengths in the UI follow the loop setting (manifest timing, no probing)
+  const displayTrackList = useMemo(() => trackList.map(t => withPlayLength(t, loop)), [trackList, loop])
+  const displayQueue = useMemo(() => queue.map(t => withPlayLength(t, loop)), [queue, loop])
+  const displayTrack = useMemo(() => withPlayLength(currentTrack, loop), [currentTrack, loop])
+  const displayTrackInfo = useMemo(() => (
+    trackInfo && displayTrack?.duration ? { ...trackInfo, length: displayTrack.lengthFormatted } : trackInfo
+  ), [trackInfo, displayTrack])
+
+  // A locked phone suspends the AudioContext, which silences routed elements:
+  // while hidden and suspended, the playing element is handed over to a plain
+  // HTML5 Audio that keeps going. A desktop tab switch leaves the context
+  // running and changes nothing. Back in view, a plain element playing in LIVE
+  // mode is routed again once the context runs, so the spectrum comes back
+  // without restarting the track.
+  useEffect(() => {
+    const handOff = () => {
+      const current = audioRef.current
+      // Synthesized sources have no plain-audio equivalent to hand over to
+      if (audioCtxRef.current?.state === 'running' || !current || current.paused ||
+        !mediaNodesRef.current.has(current)) return
+
+      const plain = new Audio()
+      plain.crossOrigin = AUDIO_CROSS_ORIGIN
+      plain.src = current.src
+      plain.preload = 'auto'
+      plain.volume = volumeRef.current
+      const resumeAt = current.currentTime
+      plain.addEventListener('loadedmetadata', () => {
+        plain.currentTime = resumeAt
+      }, { once: true })
+      bindAudio(plain, currentIndexRef.current, loopStateRef.current)
+      releaseAudio(current)
+      plain.play().catch(e => {
+        console.error('Background handoff failed:', e)
+        setIsPlaying(false)
+      })
+    }
+
+    const reroute = () => {
+      const ctx = audioCtxRef.current
+      const current = audioRef.current
+      if (!ctx || !(current instanceof HTMLMediaElement) || routedAudioRef.current.has(current) ||
+        spectrumModeRef.current !== 'live') return
+      ctx.resume().then(() => {
+        if (ctx.state === 'running' && !document.hidden && audioRef.current === current &&
+          !routedAudioRef.current.has(current)) routeAudio(current)
+      }).catch(() => {})
+    }
+
+    const sync = () => (document.hidden ? handOff() : reroute())
+    syncBackgroundRef.current = sync
+    document.addEventListener('visibilitychange', sync)
+    return () => {
+      document.removeEventListener('visibilitychange', sync)
+      syncBackgroundRef.current = null
+    }
+  }, [bindAudio, releaseAudio, routeAudio])
 
   // Media Session API for lock screen controls
   useEffect(() => {
@@ -275,10 +1022,9 @@ export function useM4APlayer() {
 
     try {
       if (trackInfo) {
-        const game = selectedGameRef.current
         const artwork = []
-        if (game?.coverImage) {
-          artwork.push({ src: `/music/${game.coverImage}`, sizes: '256x256', type: 'image/png' })
+        if (trackInfo.coverImage) {
+          artwork.push({ src: musicUrl(trackInfo.coverImage), sizes: '256x256', type: 'image/png' })
         }
         artwork.push(
           { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
@@ -322,13 +1068,14 @@ export function useM4APlayer() {
   return {
     isReady,
     isPlaying,
-    currentTrack,
+    currentTrack: displayTrack,
     currentTrackIndex,
-    trackList,
-    trackInfo,
+    trackList: displayTrackList,
+    trackInfo: displayTrackInfo,
     frequencyData,
     elapsed,
     loadGame,
+    loadTracks,
     play,
     pause,
     stop,
@@ -342,6 +1089,23 @@ export function useM4APlayer() {
     toggleShuffle,
     volume,
     setVolume,
+    queue: displayQueue,
+    addToQueue,
+    playNext,
+    addGameToQueue,
+    moveInQueue,
+    removeFromQueue,
+    clearQueue,
+    playFromQueue,
+    savedPosition,
+    spectrumMode,
+    setSpectrumMode,
+    crossfade,
+    setCrossfade,
+    loopMode: loop.mode,
+    setLoopMode,
+    loopCount: loop.count,
+    setLoopCount,
     resumeAudio
   }
 }
@@ -0,0 +1,104 @@
+import { useState, useCallback, useEffect, useRef } from 'react'
+import {
+  isOfflineSupported,
+  loadOfflineIndex,
+  saveOfflineIndex,
+  offlineKey,
+  downloadFiles,
+  removeFiles,
+  estimateStorage
+} from '../utils/offline'
+
+// Offline downloads of games and playlists. `progress` maps the keys being
+// downloaded to { done, total } file counts.
+export function useOfflineDownloads() {
+  const [index, setIndex] = useState(loadOfflineIndex)
+  const [progress, setProgress] = useState({})
+  const [storage, setStorage] = useState(null)
+  const activeFiles = useRef(new Map()) // key -> files of downloads in progress
+
+  const refreshStorage = useCallback(() => {
+    estimateStorage().then(setStorage)
+  }, [])
+
+  useEffect(() => {
+    refreshStorage()
+  }, [refreshStorage])
+
+  const update = useCallback((updater) => {
+    setIndex(prev => {
+      const next = updater(prev)
+      saveOfflineIndex(next)
+      return next
+    })
+  }, [])
+
+  const setItemProgress = useCallback((key, value) => {
+    setProgress(prev => {
+      const { [key]: _, ...rest } = prev
+      return value ? { ...rest, [key]: value } : rest
+    })
+  }, [])
+
+  // item: { kind, id, title, trackCount }. Resolves to false if it failed.
+  const download = useCallback(async (item, files) => {
+    const key = offlineKey(item.kind, item.id)
+    setItemProgress(key, { done: 0, total: files.length })
+    activeFiles.current.set(key, files)
+    try {
+      // Ask the browser not to evict downloads under storage pressure
+      navigator.storage?.persist?.().catch(() => {})
+      const bytes = await downloadFiles(files, (done, total) => setItemProgress(key, { done, total }))
+      update(prev => ({ ...prev, [key]: { ...item, files, bytes, downloadedAt: Date.now() } }))
+      return true
+    } catch (err) {
+      console.error('Offline download failed:', err)
+      // Nothing indexes a partial download, so drop what it fetched unless a
+      // saved item (this one too, when re-downloading it) or another download
+      // in progress uses the file
+      activeFiles.current.delete(key)
+      const stillUsed = [
+        ...Object.values(loadOfflineIndex()).flatMap(other => other.files),
+        ...[...activeFiles.current.values()].flat()
+      ]
+      await removeFiles(files, stillUsed).catch(() => {})
+      return false
+    } finally {
+      activeFiles.current.delete(key)
+      setItemProgress(key, null)
+      refreshStorage()
+    }
+  }, [update, setItemProgress, refreshStorage])
+
+  const remove = useCallback(async (key) => {
+    const item = index[key]
+    if (!item) return
+    const stillUsed = [
+      ...Object.entries(index).filter(([k]) => k !== key).flatMap(([, other]) => other.files),
+      ...[...activeFiles.current.values()].flat()
+    ]
+    try {
+      await removeFiles(item.files, stillUsed)
+    } catch (err) {
+      console.error('Removing offline files failed:', err)
+    }
+    update(prev => {
+      const { [key]: _, ...rest } = prev
+      return rest
+    })
+    refreshStorage()
+  }, [index, update, refreshStorage])
+
+  const isDownloaded = useCallback((kind, id) => !!index[offlineKey(kind, id)], [index])
+  const getProgress = useCallback((kind, id) => progress[offlineKey(kind, id)] || null, [progress])
+
+  return {
+    supported: isOfflineSupported(),
+    items: Object.entries(index).map(([key, item]) => ({ key, ...item })),
+    storage,
+    download,
+    remove,
+    isDownloaded,
+    getProgress
+  }
+}
@@ -0,0 +1,109 @@
+import { useState, useCallback } from 'react'
+
+const PLAYLISTS_KEY = '9player-playlists'
+
+// Playlist shape: { id, name, tracks: [{ gameId, audioFile }], createdAt, updatedAt }
+const loadPlaylists = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLAYLISTS_KEY))
+    return Array.isArray(saved) ? saved : []
+  } catch {
+    return []
+  }
+}
+
+const savePlaylists = (playlists) => {
+  try {
+    localStorage.setItem(PLAYLISTS_KEY, JSON.stringify(playlists))
+  } catch {
+    // ignore storage errors
+  }
+}
+
+const createPlaylistId = () =>
+  window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`
+
+const toRef = (track) => ({ gameId: track.gameId || track.game?.id, audioFile: track.audioFile || track.path })
+
+export function usePlaylists() {
+  const [playlists, setPlaylists] = useState(loadPlaylists)
+
+  const update = useCallback((updater) => {
+    setPlaylists(prev => {
+      const next = updater(prev)
+      savePlaylists(next)
+      return next
+    })
+  }, [])
+
+  const updatePlaylist = useCallback((id, updater) => {
+    update(prev => prev.map(p => p.id === id ? { ...updater(p), updatedAt: Date.now() } : p))
+  }, [update])
+
+  const createPlaylist = useCallback((name, tracks = []) => {
+    const now = Date.now()
+    const playlist = {
+      id: createPlaylistId(),
+      name: name.trim() || 'New Playlist',
+      tracks: tracks.map(toRef),
+      createdAt: now,
+      updatedAt: now
+    }
+    update(prev => [...prev, playlist])
+    return playlist
+  }, [update])
+
+  const renamePlaylist = useCallback((id, name) => {
+    if (!name.trim()) return
+    updatePlaylist(id, p => ({ ...p, name: name.trim() }))
+  }, [updatePlaylist])
+
+  const deletePlaylist = useCallback((id) => {
+    update(prev => prev.filter(p => p.id !== id))
+  }, [update])
+
+  // Accepts a track from a track list (with game/path) or a { gameId, audioFile } ref
+  const addToPlaylist = useCallback((id, tracks) => {
+    const refs = (Array.isArray(tracks) ? tracks : [tracks]).map(toRef)
+    updatePlaylist(id, p => ({ ...p, tracks: [...p.tracks, ...refs] }))
+  }, [updatePlaylist])
+
+  const removeFromPlaylist = useCallback((id, index) => {
+    updatePlaylist(id, p => ({ ...p, tracks: p.tracks.filter((_, i) => i !== index) }))
+  }, [updatePlaylist])
+
+  const moveInPlaylist = useCallback((id, from, to) => {
+    updatePlaylist(id, p => {
+      if (from === to || from < 0 || to < 0 || from >= p.tracks.length || to >= p.tracks.length) return p
+      const tracks = [...p.tracks]
+      const [ref] = tracks.splice(from, 1)
+      tracks.splice(to, 0, ref)
+      return { ...p, tracks }
+    })
+  }, [updatePlaylist])
+
+  // Add parsed playlists ({ name, tracks }) from an import
+  const importPlaylists = useCallback((imported) => {
+    const now = Date.now()
+    const created = imported.map(p => ({
+      id: createPlaylistId(),
+      name: p.name,
+      tracks: p.tracks,
+      createdAt: now,
+      updatedAt: now
+    }))
+    update(prev => [...prev, ...created])
+    return created
+  }, [update])
+
+  return {
+    playlists,
+    createPlaylist,
+    renamePlaylist,
+    deletePlaylist,
+    addToPlaylist,
+    removeFromPlaylist,
+    moveInPlaylist,
+    importPlaylists
+  }
+}
@@ -0,0 +1,127 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+import { useM4APlayer } from './useM4APlayer'
+import { VGMSource, isVGMSynthSupported } from '../engines/vgm/VGMSource'
+import { VGM_CHANNELS, buildChannelMask } from '../engines/vgm/channels'
+import { audioUrl } from '../utils/siteConfig'
+
+const ENGINE_KEY = '9player-engine'
+
+// 'rendered' plays the pre-rendered M4A files; 'synth' emulates VGM games'
+// chips in the browser (SN76489 + YM2612) and keeps M4A for everything else
+const loadEngine = () => {
+  try {
+    return localStorage.getItem(ENGINE_KEY) === 'synth' && isVGMSynthSupported() ? 'synth' : 'rendered'
+  } catch {
+    return 'rendered'
+  }
+}
+
+const saveEngine = (engine) => {
+  try {
+    localStorage.setItem(ENGINE_KEY, engine)
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Manifest tracks list the chips their source file uses
+const SYNTH_CHIPS = ['sn76489', 'ym2612']
+
+export const canSynthesize = (track) =>
+  track.game?.format === 'vgm' && !!track.sourceFile &&
+  Array.isArray(track.chips) && track.chips.length > 0 &&
+  track.chips.every(chip => SYNTH_CHIPS.includes(chip))
+
+const isSameTrack = (a, b) => !!a && !!b && a.path === b.path && a.game?.id === b.game?.id
+
+const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id])
+
+// Same interface as useM4APlayer, plus `engine` / `setEngine`. The engine is
+// chosen per track, so queues and playlists can mix synthesized and rendered audio.
+// Synthesized tracks also expose their voices for mute/solo and the visualizer.
+export function useVGMPlayer({ persist = true } = {}) {
+  const [engine, setEngineState] = useState(loadEngine)
+  // Mutes and solos last for the session and apply to every synthesized track
+  const [mutedChannels, setMutedChannels] = useState([])
+  const [soloChannels, setSoloChannels] = useState([])
+  const [synthTrack, setSynthTrack] = useState(null)
+  const [channelLevels, setChannelLevels] = useState(null)
+  const channelMask = useMemo(() => buildChannelMask(mutedChannels, soloChannels), [mutedChannels, soloChannels])
+  const channelMaskRef = useRef(channelMask)
+  const sourcesRef = useRef(new Set())
+  const activeSourceRef = useRef(null)
+
+  const createSynthSource = useCallback((track, getOutput) => {
+    if (!canSynthesize(track)) return null
+    const output = getOutput()
+    if (!output) return null
+    const source = new VGMSource(audioUrl(track.sourceFile), output, {
+      loops: track.renderedLoops || 2,
+      fade: track.fadeLength || 5,
+      channelMask: channelMaskRef.current
+    })
+    sourcesRef.current.add(source)
+
+    // The most recently started source feeds the visualizer (the incoming one
+    // during a crossfade)
+    source.addEventListener('play', () => {
+      activeSourceRef.current = source
+      setSynthTrack(track)
+    })
+    source.addEventListener('channels', () => {
+      if (activeSourceRef.current === source) setChannelLevels(source.channels)
+    })
+    source.addEventListener('emptied', () => {
+      sourcesRef.current.delete(source)
+      if (activeSourceRef.current !== source) return
+      activeSourceRef.current = null
+      setSynthTrack(null)
+      setChannelLevels(null)
+    })
+    return source
+  }, [])
+
+  const player = useM4APlayer({ createSource: engine === 'synth' ? createSynthSource : null, persist })
+
+  useEffect(() => {
+    channelMaskRef.current = channelMask
+    sourcesRef.current.forEach(source => source.setChannelMask(channelMask))
+  }, [channelMask])
+
+  // Takes effect from the next track
+  const setEngine = useCallback((next) => {
+    const value = next === 'synth' && isVGMSynthSupported() ? 'synth' : 'rendered'
+    setEngineState(value)
+    saveEngine(value)
+  }, [])
+
+  const toggleChannelMute = useCallback((id) => setMutedChannels(prev => toggleId(prev, id)), [])
+  const toggleChannelSolo = useCallback((id) => setSoloChannels(prev => toggleId(prev, id)), [])
+  const resetChannels = useCallback(() => {
+    setMutedChannels([])
+    setSoloChannels([])
+  }, [])
+
+  // Voices of the current track, when it is being synthesized; `index` points
+  // into channelLevels
+  const channels = useMemo(() => {
+    if (!isSameTrack(synthTrack, player.currentTrack)) return []
+    return VGM_CHANNELS
+      .map((channel, index) => ({ ...channel, index }))
+      .filter(channel => synthTrack.chips.includes(channel.chip))
+  }, [synthTrack, player.currentTrack])
+
+  return {
+    ...player,
+    engine,
+    setEngine,
+    synthSupported: isVGMSynthSupported(),
+    channels,
+    channelLevels: channels.length > 0 ? channelLevels : null,
+    mutedChannels,
+    soloChannels,
+    toggleChannelMute,
+    toggleChannelSolo,
+    resetChannels
+  }
+}
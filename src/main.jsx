@@ -2,12 +2,17 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import Embed from './Embed.jsx'
 import { PlaybackInfoProvider } from './contexts/PlaybackInfoContext'
+import { EMBED_PATH } from './utils/routes'
+
+// /embed is the iframe player; every other path is the app
+const Root = window.location.pathname === EMBED_PATH ? Embed : App
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <PlaybackInfoProvider>
-      <App />
+      <Root />
     </PlaybackInfoProvider>
   </StrictMode>,
 )
@@ -0,0 +1,66 @@
+// Music library loading. manifest.json (version 2) is an index with what the
+// game grid needs; each game's tracks live in a detail file fetched on demand.
+// Version 1 manifests carry every game's tracks inline and need no detail fetch.
+import { musicUrl } from './siteConfig'
+
+export const hasTracks = (game) => Array.isArray(game?.tracks)
+
+// Resolves to { games, aliases }; aliases map retired game ids to current ones
+export const fetchLibrary = async () => {
+  const res = await fetch(musicUrl('manifest.json'))
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading manifest`)
+  const data = await res.json()
+  return { games: data.games || [], aliases: data.aliases || {} }
+}
+
+// Current id for a possibly retired one (the generator keeps aliases flat, but
+// follow chains anyway without looping)
+export const resolveGameId = (aliases, gameId) => {
+  const seen = new Set()
+  let id = gameId
+  while (aliases && Object.hasOwn(aliases, id) && !seen.has(id)) {
+    seen.add(id)
+    id = aliases[id]
+  }
+  return id
+}
+
+// One request per game; a failed request is forgotten so it can be retried
+const detailRequests = new Map()
+
+// Resolves to the full game entry (index fields + tracks)
+export const fetchGameDetail = (game) => {
+  if (hasTracks(game)) return Promise.resolve(game)
+  if (!detailRequests.has(game.id)) {
+    const request = fetch(musicUrl(game.detail || `games/${game.id}.json`))
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} loading ${game.id}`)
+        return res.json()
+      })
+      .then(detail => ({ ...game, ...detail }))
+      .catch(err => {
+        detailRequests.delete(game.id)
+        throw err
+      })
+    detailRequests.set(game.id, request)
+  }
+  return detailRequests.get(game.id)
+}
+
+// Fetch detail files for the given game ids that have no tracks yet. Failures
+// are logged and skipped; resolves to the loaded games.
+export const fetchGameDetails = async (games, gameIds) => {
+  const pending = games.filter(g => gameIds.includes(g.id) && !hasTracks(g))
+  const loaded = await Promise.all(pending.map(game => fetchGameDetail(game).catch(err => {
+    console.error('Failed to load game details:', err)
+    return null
+  })))
+  return loaded.filter(Boolean)
+}
+
+// Replace index entries with their loaded full entries
+export const mergeGameDetails = (games, loaded) => {
+  if (loaded.length === 0) return games
+  const byId = new Map(loaded.map(game => [game.id, game]))
+  return games.map(g => byId.get(g.id) || g)
+}
@@ -0,0 +1,110 @@
+// Offline downloads. A game's or playlist's files go into their own cache,
+// apart from Workbox's size-capped runtime caches, and public/offline-sw.js
+// serves them from there. What was downloaded is indexed in localStorage.
+import { buildTrackList, findTrack } from './tracks'
+import { musicUrl, audioUrl } from './siteConfig'
+
+export const OFFLINE_CACHE = '8bitbox-offline'
+const OFFLINE_KEY = '9player-offline'
+
+export const isOfflineSupported = () => typeof caches !== 'undefined' && 'serviceWorker' in navigator
+
+// { [key]: { kind: 'game' | 'playlist', id, title, trackCount, files: [url], bytes, downloadedAt } }
+// keyed by offlineKey(kind, id)
+export const loadOfflineIndex = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OFFLINE_KEY))
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {}
+  } catch {
+    return {}
+  }
+}
+
+export const saveOfflineIndex = (index) => {
+  try {
+    localStorage.setItem(OFFLINE_KEY, JSON.stringify(index))
+  } catch {
+    // ignore storage errors
+  }
+}
+
+export const offlineKey = (kind, id) => `${kind}:${id}`
+
+// A game's detail file and cover
+const gameAssets = (game) => [
+  musicUrl(game.detail || `games/${game.id}.json`),
+  ...(game.coverImage ? [musicUrl(game.coverImage)] : [])
+]
+
+// The audio, plus the VGM source for the synth engine
+const trackAssets = (track) => [
+  audioUrl(track.path),
+  ...(track.sourceFile ? [audioUrl(track.sourceFile)] : [])
+]
+
+// Everything a game needs offline, library index included; `game` must have
+// its tracks loaded
+export const gameFiles = (game) => [...new Set([
+  musicUrl('manifest.json'),
+  ...gameAssets(game),
+  ...buildTrackList(game).flatMap(trackAssets)
+])]
+
+// `games` must have the playlist's games loaded; missing tracks are skipped
+export const playlistFiles = (playlist, games) => {
+  const tracks = playlist.tracks.map(ref => findTrack(games, ref.gameId, ref.audioFile)).filter(Boolean)
+  const playlistGames = games.filter(g => tracks.some(t => t.game.id === g.id))
+  return [...new Set([
+    musicUrl('manifest.json'),
+    ...playlistGames.flatMap(gameAssets),
+    ...tracks.flatMap(trackAssets)
+  ])]
+}
+
+// Tell the service worker which files it can now serve offline
+const notifyServiceWorker = () => {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'offline-updated' })
+}
+
+// Fetch and store `urls` one at a time. Audio already stored is reused; JSON
+// is refreshed so the library index stays current. Resolves to the bytes stored.
+export const downloadFiles = async (urls, onProgress) => {
+  const cache = await caches.open(OFFLINE_CACHE)
+  let bytes = 0
+  for (const [index, url] of urls.entries()) {
+    let response = url.endsWith('.json') ? null : await cache.match(url)
+    if (!response) {
+      response = await fetch(url)
+      if (!response.ok) throw new Error(`HTTP ${response.status} loading ${url}`)
+      await cache.put(url, response.clone())
+    }
+    bytes += (await response.blob()).size
+    onProgress?.(index + 1, urls.length)
+  }
+  notifyServiceWorker()
+  return bytes
+}
+
+// Delete `urls` except those another download still uses
+export const removeFiles = async (urls, keepUrls = []) => {
+  const keep = new Set(keepUrls)
+  const cache = await caches.open(OFFLINE_CACHE)
+  await Promise.all(urls.filter(url => !keep.has(url)).map(url => cache.delete(url)))
+  notifyServiceWorker()
+}
+
+// { usage, quota } in bytes for the whole site, or null when unknown
+export const estimateStorage = async () => {
+  try {
+    const { usage, quota } = await navigator.storage.estimate()
+    return { usage, quota }
+  } catch {
+    return null
+  }
+}
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 MB'
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`
+  return `${(bytes / 1024 ** 2).toFixed(1)} MB`
+}
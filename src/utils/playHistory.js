@@ -0,0 +1,94 @@
+// Listening history stored in IndexedDB (one record per play)
+//
+// Record: { id, gameId, gameTitle, system, composer, trackPath, trackName,
+//           startedAt (ms), listenedSeconds, duration, skipped }
+
+const DB_NAME = '8bitbox-history'
+const DB_VERSION = 1
+const STORE = 'plays'
+
+let dbPromise = null
+
+const openDB = () => {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB not available'))
+      return
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+        store.createIndex('startedAt', 'startedAt')
+        store.createIndex('gameId', 'gameId')
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+  // Allow a retry after a failed open
+  dbPromise.catch(() => { dbPromise = null })
+  return dbPromise
+}
+
+const runTransaction = async (mode, fn) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const result = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(result?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export const recordPlay = (entry) => runTransaction('readwrite', store => store.add(entry))
+
+export const getAllPlays = () => runTransaction('readonly', store => store.getAll())
+
+export const clearHistory = () => runTransaction('readwrite', store => store.clear())
+
+const rankBy = (plays, keyFn, labelFn, limit) => {
+  const groups = new Map()
+  for (const play of plays) {
+    const key = keyFn(play)
+    if (!key) continue
+    const group = groups.get(key) || { key, label: labelFn(play), count: 0, seconds: 0, sample: play }
+    group.count += 1
+    group.seconds += play.listenedSeconds
+    groups.set(key, group)
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || b.seconds - a.seconds)
+    .slice(0, limit)
+}
+
+const timeBy = (plays, keyFn) => {
+  const totals = new Map()
+  for (const play of plays) {
+    const key = keyFn(play) || 'Unknown'
+    totals.set(key, (totals.get(key) || 0) + play.listenedSeconds)
+  }
+  return [...totals.entries()]
+    .map(([label, seconds]) => ({ label, seconds }))
+    .sort((a, b) => b.seconds - a.seconds)
+}
+
+// Aggregate raw play records for the STATS screen.
+// Skipped plays still count toward listening time but not toward "most played".
+export const summarizePlays = (plays, limit = 10) => {
+  const sorted = [...plays].sort((a, b) => b.startedAt - a.startedAt)
+  const counted = sorted.filter(p => !p.skipped)
+  return {
+    totalSeconds: plays.reduce((sum, p) => sum + p.listenedSeconds, 0),
+    playCount: plays.length,
+    skipCount: plays.length - counted.length,
+    recent: sorted.slice(0, limit),
+    topTracks: rankBy(counted, p => `${p.gameId}/${p.trackPath}`, p => p.trackName, limit),
+    topGames: rankBy(counted, p => p.gameId, p => p.gameTitle, limit),
+    timeBySystem: timeBy(plays, p => p.system),
+    timeByComposer: timeBy(plays, p => p.composer)
+  }
+}
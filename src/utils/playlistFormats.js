@@ -0,0 +1,99 @@
+// Playlist import/export: JSON (lossless) and M3U (plays in other players too)
+import { findTrack } from './tracks'
+import { SITE_CONFIG, audioUrl } from './siteConfig'
+
+const JSON_FORMAT = '8-bitbox-playlist'
+const MUSIC_PATH = SITE_CONFIG.musicPath
+
+export const exportPlaylistJSON = (playlist, games) => JSON.stringify({
+  format: JSON_FORMAT,
+  version: 1,
+  name: playlist.name,
+  tracks: playlist.tracks.map(ref => {
+    const track = findTrack(games, ref.gameId, ref.audioFile)
+    return {
+      gameId: ref.gameId,
+      audioFile: ref.audioFile,
+      // Informational only; import resolves by gameId + audioFile
+      name: track?.name || '',
+      game: track?.game?.title || ''
+    }
+  })
+}, null, 2)
+
+export const exportPlaylistM3U = (playlist, games, origin) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`]
+  for (const ref of playlist.tracks) {
+    const track = findTrack(games, ref.gameId, ref.audioFile)
+    const duration = track?.duration ? Math.round(track.duration) : -1
+    const label = track ? `${track.game.title} - ${track.name}` : ref.audioFile
+    lines.push(`#EXTINF:${duration},${label}`)
+    lines.push(new URL(audioUrl(ref.audioFile.split('/').map(encodeURIComponent).join('/')), origin).href)
+  }
+  return lines.join('\n') + '\n'
+}
+
+// Map an M3U entry (absolute URL or path) back to { gameId, audioFile }.
+// Audio files live in `<audioDir>/<file>` (audioDir may itself be nested, like
+// `spc/<archive>`), so everything before the file name names the game.
+const resolveM3UEntry = (entry, games) => {
+  let pathname = entry
+  try {
+    pathname = new URL(entry, 'http://localhost').pathname
+  } catch {
+    // keep the raw entry
+  }
+  pathname = decodeURIComponent(pathname)
+  const musicIndex = pathname.indexOf(MUSIC_PATH)
+  const audioFile = musicIndex !== -1 ? pathname.slice(musicIndex + MUSIC_PATH.length) : pathname.replace(/^\/+/, '')
+  const audioDir = audioFile.slice(0, audioFile.lastIndexOf('/'))
+  const game = games.find(g => g.audioDir === audioDir)
+  return game ? { gameId: game.id, audioFile } : null
+}
+
+const parseM3U = (text, fallbackName, games) => {
+  let name = fallbackName
+  const tracks = []
+  let skipped = 0
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line) continue
+    if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice('#PLAYLIST:'.length).trim() || name
+      continue
+    }
+    if (line.startsWith('#')) continue
+    const ref = resolveM3UEntry(line, games)
+    if (ref) tracks.push(ref)
+    else skipped += 1
+  }
+  return { playlists: [{ name, tracks }], skipped }
+}
+
+const parseJSON = (text, fallbackName, games) => {
+  const data = JSON.parse(text)
+  const sources = Array.isArray(data.playlists) ? data.playlists : [data]
+  let skipped = 0
+  const playlists = sources.map(source => {
+    const tracks = []
+    for (const ref of source.tracks || []) {
+      if (ref && games.some(g => g.id === ref.gameId) && typeof ref.audioFile === 'string') {
+        tracks.push({ gameId: ref.gameId, audioFile: ref.audioFile })
+      } else {
+        skipped += 1
+      }
+    }
+    return { name: source.name || fallbackName, tracks }
+  })
+  return { playlists, skipped }
+}
+
+// Returns { playlists: [{ name, tracks }], skipped } - `skipped` counts entries
+// that don't match anything in the current library
+export const parsePlaylistFile = (text, filename, games) => {
+  const fallbackName = filename.replace(/\.(json|m3u8?)$/i, '') || 'Imported'
+  if (/\.json$/i.test(filename) || text.trimStart().startsWith('{')) {
+    return parseJSON(text, fallbackName, games)
+  }
+  return parseM3U(text, fallbackName, games)
+}
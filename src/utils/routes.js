@@ -0,0 +1,96 @@
+// App routes. They live in the query string so the OG middlewares can read
+// ?game= and so any URL still serves index.html:
+//   ?q=&system=&sort=&filter=   game list (all optional)
+//   ?composer=<name>            game list narrowed to one composer (plus the above)
+//   ?game=<id>&track=<id>       game page; t= / end= start at a time or play a clip
+//   ?playlist=<id>              playlist (playlists are local to the browser)
+// Old #<game>/<track> links are read as game pages. /embed?game=&track= is the
+// iframe player (src/Embed.jsx) and takes the same game parameters.
+import { resolveGameId } from './library'
+import { readClipParams } from './shareLinks'
+
+export const FILTER_MODES = ['all', 'favorites', 'liked']
+export const SORT_MODES = ['default', 'title', 'system']
+export const EMBED_PATH = '/embed'
+
+const DEFAULT_LIST = { query: '', system: '', sort: 'default', filter: 'all', composer: '' }
+
+const listRoute = (params) => ({
+  view: 'list',
+  query: params.get('q') || '',
+  system: params.get('system') || '',
+  sort: SORT_MODES.includes(params.get('sort')) ? params.get('sort') : 'default',
+  filter: FILTER_MODES.includes(params.get('filter')) ? params.get('filter') : 'all',
+  composer: params.get('composer') || ''
+})
+
+// Retired game ids resolve through the manifest aliases; `legacyId` is set when
+// the URL used one. `trackKey` is a track id, or a track name in older links.
+const gameRoute = (aliases, gameId, trackKey, clip = { start: 0, end: null }) => {
+  const canonicalId = resolveGameId(aliases, gameId)
+  return {
+    view: 'game',
+    gameId: canonicalId,
+    trackKey: trackKey || null,
+    ...clip,
+    ...(canonicalId !== gameId ? { legacyId: gameId } : {})
+  }
+}
+
+export const parseRoute = (location = window.location, aliases = {}) => {
+  const params = new URLSearchParams(location.search)
+  if (params.get('game')) return gameRoute(aliases, params.get('game'), params.get('track'), readClipParams(params))
+  if (params.get('playlist')) return { view: 'playlist', playlistId: params.get('playlist') }
+
+  const hash = location.hash.slice(1)
+  if (hash) {
+    const slashIndex = hash.indexOf('/')
+    return slashIndex === -1
+      ? gameRoute(aliases, decodeURIComponent(hash), null)
+      : gameRoute(aliases, decodeURIComponent(hash.slice(0, slashIndex)), decodeURIComponent(hash.slice(slashIndex + 1)))
+  }
+  return listRoute(params)
+}
+
+// Only non-default values are written, so the plain list is just "/"
+export const routeUrl = (route) => {
+  const params = new URLSearchParams()
+  if (route.view === 'game') {
+    params.set('game', route.gameId)
+    if (route.trackKey) params.set('track', route.trackKey)
+  } else if (route.view === 'playlist') {
+    params.set('playlist', route.playlistId)
+  } else {
+    const list = { ...DEFAULT_LIST, ...route }
+    if (list.composer) params.set('composer', list.composer)
+    if (list.query) params.set('q', list.query)
+    if (list.system) params.set('system', list.system)
+    if (list.sort !== DEFAULT_LIST.sort) params.set('sort', list.sort)
+    if (list.filter !== DEFAULT_LIST.filter) params.set('filter', list.filter)
+  }
+  const search = params.toString()
+  return search ? `?${search}` : window.location.pathname
+}
+
+// history.state carries { depth } (entries pushed since the app was opened, so
+// BACK knows whether it can go back) and { scrollY } for the game list
+export const pushRoute = (route) => {
+  const depth = (history.state?.depth || 0) + 1
+  history.pushState({ depth }, '', routeUrl(route))
+}
+
+export const replaceRoute = (route) => {
+  const url = routeUrl(route)
+  if (url === `${window.location.pathname}${window.location.search}` && !window.location.hash) return
+  history.replaceState({ depth: history.state?.depth || 0, scrollY: history.state?.scrollY }, '', url)
+}
+
+export const saveScrollPosition = () => {
+  history.replaceState({ ...history.state, scrollY: window.scrollY }, '')
+}
+
+export const canGoBack = () => (history.state?.depth || 0) > 0
+
+// Composer credits such as "Koji Kondo, Hirokazu Tanaka" or "A / B & C"
+export const splitComposers = (author) =>
+  (author || '').split(/\s*[,/&、]\s*/).filter(Boolean)
@@ -0,0 +1,38 @@
+// Share link timestamps: ?t= starts playback there, and an optional ?end=
+// pauses it, for sharing a clip. Both accept 83, 83s, 1:23 or 1m23s.
+
+export const parseTimestamp = (value) => {
+  const text = value?.trim().toLowerCase()
+  if (!text) return null
+  if (/^\d+(\.\d+)?s?$/.test(text)) return parseFloat(text)
+  if (/^\d+(:[0-5]?\d){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0)
+  }
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/)
+  if (!match) return null
+  const [, hours = 0, minutes = 0, seconds = 0] = match
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)
+}
+
+// { start, end } from the query; end is dropped unless it comes after start
+export const readClipParams = (params) => {
+  const start = parseTimestamp(params.get('t')) || 0
+  const end = parseTimestamp(params.get('end'))
+  return { start, end: end !== null && end > start ? end : null }
+}
+
+// 83 -> "1m23s" (stays readable in the address bar, unlike an encoded "1:23")
+const toParam = (seconds) => {
+  const s = Math.floor(seconds)
+  return s >= 60 ? `${Math.floor(s / 60)}m${s % 60}s` : `${s}s`
+}
+
+// The current page URL with t= / end= set (or removed when not given)
+export const buildShareUrl = (href, { start, end } = {}) => {
+  const url = new URL(href)
+  url.searchParams.delete('t')
+  url.searchParams.delete('end')
+  if (start > 0) url.searchParams.set('t', toParam(start))
+  if (end > (start || 0)) url.searchParams.set('end', toParam(end))
+  return url.toString()
+}
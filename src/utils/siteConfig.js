@@ -0,0 +1,11 @@
+// Asset locations from site.config.js (defined at build time in vite.config.js)
+export const SITE_CONFIG = __SITE_CONFIG__
+
+// manifest.json, game details and covers
+export const musicUrl = (file) => `${SITE_CONFIG.musicPath}${file}`
+
+// Track audio and VGM sources, which may come from a separate CDN
+export const audioUrl = (file) => `${SITE_CONFIG.audioOrigin}${SITE_CONFIG.musicPath}${file}`
+
+// Cross-origin audio needs CORS to be routed through Web Audio
+export const AUDIO_CROSS_ORIGIN = SITE_CONFIG.audioOrigin ? 'anonymous' : null
@@ -0,0 +1,66 @@
+// Shared track helpers: turn manifest games into playable track lists
+
+export const formatSeconds = (sec) => {
+  const s = Math.floor(sec)
+  return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, '0')}`
+}
+
+// Optional credits and release details from the source tags (detail files only)
+const GAME_INFO_FIELDS = ['systemJp', 'authorJp', 'releaseDate', 'copyrightYear', 'publisher', 'ostTitle', 'dumper', 'dumpDate', 'notes']
+
+// Game fields each track carries, so tracks from different games can share a list
+export const describeGame = (game) => ({
+  id: game.id,
+  title: game.title,
+  titleJp: game.titleJp,
+  system: game.system,
+  author: game.author,
+  coverImage: game.coverImage,
+  format: game.format,
+  ...Object.fromEntries(GAME_INFO_FIELDS.filter(key => game[key]).map(key => [key, game[key]]))
+})
+
+export const buildTrackList = (game) => {
+  if (!game || !game.tracks) return []
+  const gameMeta = describeGame(game)
+  return game.tracks.map((t) => ({
+    ...t,
+    path: t.audioFile || `${game.audioDir}/${t.filename}`,
+    lengthFormatted: t.duration ? formatSeconds(t.duration) : '--:--',
+    game: gameMeta
+  }))
+}
+
+// Look up a single track by game id and audio path
+export const findTrack = (games, gameId, audioFile) => {
+  const game = games.find(g => g.id === gameId)
+  if (!game) return null
+  return buildTrackList(game).find(t => t.path === audioFile) || null
+}
+
+// Share links name a track by its manifest id; links from before track ids
+// (and manifests without them) use the track name
+export const trackUrlKey = (track) => track.id || track.name
+
+export const findTrackIndex = (tracks, key) => {
+  const byId = tracks.findIndex(t => t.id && t.id === key)
+  return byId !== -1 ? byId : tracks.findIndex(t => t.name === key)
+}
+
+// Playback length under the loop setting ({ mode: 'count' | 'forever', count }).
+// Tracks with loop points (introLength/loopLength from the manifest) stretch or
+// shrink with the loop count; everything else plays its file length.
+export const getPlayLength = (track, loop) => {
+  if (!track.loopLength) return track.duration || 0
+  if (loop.mode === 'forever') return Infinity
+  return track.introLength + track.loopLength * loop.count + (track.fadeLength || 0)
+}
+
+// Fill in length/lengthFormatted from manifest timing, so lists need no probing
+export const withPlayLength = (track, loop) => {
+  if (!track?.duration) return track
+  const seconds = getPlayLength(track, loop)
+  return isFinite(seconds)
+    ? { ...track, length: Math.floor(seconds), lengthFormatted: formatSeconds(seconds) }
+    : { ...track, length: 0, lengthFormatted: '∞' }
+}
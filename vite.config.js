@@ -2,6 +2,28 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
 import pkg from './package.json'
+import siteConfig from './site.config.js'
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Workbox matches cross-origin URLs only from their start, so the audio CDN
+// prefix is anchored; same-origin music paths match anywhere in the URL
+const musicPattern = (suffix) => new RegExp(
+  `${siteConfig.audioOrigin ? `(?:^${escapeRegExp(siteConfig.audioOrigin)})?` : ''}${escapeRegExp(siteConfig.musicPath)}${suffix}`,
+  'i'
+)
+
+// The service worker can't import site.config.js; offline-sw.js reads this instead
+const siteConfigScript = () => ({
+  name: 'site-config-script',
+  generateBundle() {
+    this.emitFile({
+      type: 'asset',
+      fileName: 'site-config.js',
+      source: `self.__SITE_CONFIG__ = ${JSON.stringify(siteConfig)}\n`
+    })
+  }
+})
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -9,10 +31,12 @@ export default defineConfig({
     host: true
   },
   define: {
-    __APP_VERSION__: JSON.stringify(pkg.version)
+    __APP_VERSION__: JSON.stringify(pkg.version),
+    __SITE_CONFIG__: JSON.stringify(siteConfig)
   },
   plugins: [
     react(),
+    siteConfigScript(),
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['vite.svg'],
@@ -46,16 +70,30 @@ export default defineConfig({
       },
       workbox: {
         globPatterns: ['**/*.{js,css,html,svg,png,woff2}'],
+        // Serves offline downloads before the rules below (public/offline-sw.js)
+        importScripts: ['site-config.js', 'offline-sw.js'],
         runtimeCaching: [
           {
-            urlPattern: /^https:\/\/9-player\.pages\.dev\/dist\/.*/i,
+            // The library index and detail files change with every build
+            urlPattern: musicPattern('.*\\.json$'),
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'music-index'
+            }
+          },
+          {
+            urlPattern: musicPattern('.*'),
             handler: 'CacheFirst',
             options: {
               cacheName: 'music-cache',
               expiration: {
                 maxEntries: 50,
                 maxAgeSeconds: 60 * 60 * 24 * 30 // 30 days
-              }
+              },
+              cacheableResponse: {
+                statuses: [0, 200]
+              },
+              rangeRequests: true
             }
           }
         ]